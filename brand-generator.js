@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 const { ChartJSNodeCanvas } = require('chartjs-node-canvas');
+const { toReportComments } = require('./report-comments');
 require('dotenv').config();
 
 class BrandReportGenerator {
@@ -17,7 +18,7 @@ class BrandReportGenerator {
         }
     }
 
-    async generateReport(projectId, filters = {}) {
+    async generateReport(projectId, filters = {}, options = {}) {
         try {
             // Fetch project data
             const project = await this.fetchProject(projectId);
@@ -32,6 +33,13 @@ class BrandReportGenerator {
             if (Object.keys(filters).length > 0) {
                 tasks = this.filterTasks(tasks, filters);
             }
+            if (options.taskFilter) {
+                tasks = tasks.filter(options.taskFilter);
+            }
+            // Comment threads are only fetched for the tasks that made it into the report
+            if (options.attachComments) {
+                tasks = await options.attachComments(tasks);
+            }
             
             if (tasks.length === 0) {
                 console.warn('Warning: No tasks found matching the specified filters.');
@@ -409,7 +417,8 @@ class BrandReportGenerator {
                 tags: task.tags || [],
                 requester_email: task.requester_email || '',
                 requester_name: task.requester_name || 'Anonymous',
-                assigned_to: task.assigned_to || null
+                assigned_to: task.assigned_to || null,
+                comments: toReportComments(task.comments)
             }));
 
             // Add debug logging
@@ -0,0 +1,178 @@
+// Formatted XLSX version of the task export: the task sheet plus a summary sheet
+// with the same status and priority counts the HTML report shows.
+const ExcelJS = require('exceljs');
+const { BUGHERD_PRIORITIES, createPriorityVocabulary, resolvePriority } = require('./priorities');
+
+// Severity colours, matching the pie chart in the HTML report
+const SEVERITY_COLORS = {
+    'critical': 'FFFECACA',
+    'important': 'FFFDE68A',
+    'normal': 'FFBAE6FD',
+    'minor': 'FFD1D5DB'
+};
+
+const HEADER_FILL = 'FF1F2937';
+const LINK_COLUMNS = ['Task URL', 'Site + URL', 'siteUrl', 'Screenshot URL'];
+// Paths relative to the workbook, as written by an evidence bundle
+const FILE_LINK_COLUMNS = ['Screenshot File'];
+const WRAPPED_COLUMNS = ['Description', 'Comments', 'Attachment Files', 'Attachments'];
+const MIN_COLUMN_WIDTH = 8;
+const MAX_COLUMN_WIDTH = 60;
+
+// Priority order used by the summary sheet, highest first
+const PRIORITY_ORDER = ['critical', 'important', 'normal', 'minor', 'not set'];
+
+// A row's BugHerd priority, as counted by the summary and the HTML report
+function getRowPriority(row, vocabulary) {
+    return resolvePriority(row['Priority'], vocabulary).priority || BUGHERD_PRIORITIES['not set'];
+}
+
+// The priority a row's colour comes from: its severity, else its priority
+function getRowColorPriority(row, vocabulary) {
+    const fromSeverity = row['Severity'] ? resolvePriority(row['Severity'], vocabulary).priority : null;
+    if (fromSeverity && fromSeverity.name !== 'not set') return fromSeverity;
+    return getRowPriority(row, vocabulary);
+}
+
+// An absolute http(s) URL for a cell value, or '' when it isn't one
+function toHyperlink(value) {
+    const text = String(value || '').trim();
+    if (!text) return '';
+    const candidate = /^https?:\/\//i.test(text) ? text : `https://${text.replace(/^\/+/, '')}`;
+    try {
+        const url = new URL(candidate);
+        return url.hostname.includes('.') ? url.toString() : '';
+    } catch (e) {
+        return '';
+    }
+}
+
+// A relative path stays as is; a file that couldn't be bundled keeps its URL
+function toFileLink(value) {
+    const text = String(value || '').trim();
+    return /^https?:\/\//i.test(text) ? toHyperlink(text) : text;
+}
+
+function styleHeaderRow(row) {
+    row.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: HEADER_FILL } };
+    row.alignment = { vertical: 'middle' };
+}
+
+// Width of a column from its longest line, within sensible bounds
+function getColumnWidth(header, rows, title = header) {
+    const longest = rows.reduce((max, row) => {
+        const lines = String(row[header] === undefined || row[header] === null ? '' : row[header]).split('\n');
+        return Math.max(max, ...lines.map(line => line.length));
+    }, String(title).length);
+    return Math.min(MAX_COLUMN_WIDTH, Math.max(MIN_COLUMN_WIDTH, longest + 2));
+}
+
+function addTasksSheet(workbook, headers, rows, vocabulary, labels) {
+    const sheet = workbook.addWorksheet('Tasks', {
+        views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    sheet.columns = headers.map(header => ({
+        header: labels[header] || header,
+        key: header,
+        width: getColumnWidth(header, rows, labels[header] || header)
+    }));
+    styleHeaderRow(sheet.getRow(1));
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: headers.length } };
+
+    const severityColumn = headers.indexOf('Severity') + 1;
+
+    rows.forEach(row => {
+        const values = {};
+        headers.forEach(header => {
+            const value = row[header];
+            values[header] = value === undefined || value === null ? '' : value;
+        });
+        const sheetRow = sheet.addRow(values);
+
+        [...LINK_COLUMNS, ...FILE_LINK_COLUMNS].forEach(header => {
+            const column = headers.indexOf(header) + 1;
+            if (!column) return;
+            const hyperlink = FILE_LINK_COLUMNS.includes(header) ? toFileLink(row[header]) : toHyperlink(row[header]);
+            if (!hyperlink) return;
+            const cell = sheetRow.getCell(column);
+            cell.value = { text: String(row[header]), hyperlink };
+            cell.font = { color: { argb: 'FF2563EB' }, underline: true };
+        });
+
+        WRAPPED_COLUMNS.forEach(header => {
+            const column = headers.indexOf(header) + 1;
+            if (column) sheetRow.getCell(column).alignment = { wrapText: true, vertical: 'top' };
+        });
+
+        const color = SEVERITY_COLORS[getRowColorPriority(row, vocabulary).name];
+        if (severityColumn && color) {
+            sheetRow.getCell(severityColumn).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: color } };
+        }
+    });
+
+    return sheet;
+}
+
+function addCountTable(sheet, title, counts) {
+    sheet.addRow([]);
+    const titleRow = sheet.addRow([title, 'Count']);
+    styleHeaderRow(titleRow);
+    counts.forEach(({ label, count, color }) => {
+        const row = sheet.addRow([label, count]);
+        if (color) {
+            row.getCell(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: color } };
+        }
+    });
+}
+
+function addSummarySheet(workbook, allRows, vocabulary) {
+    // Tasks an incremental export lists as deleted no longer count
+    const rows = allRows.filter(row => row['Change'] !== 'deleted');
+    const sheet = workbook.addWorksheet('Summary');
+    sheet.columns = [{ width: 30 }, { width: 12 }];
+    sheet.addRow(['Total tasks', rows.length]).font = { bold: true };
+
+    const byStatus = new Map();
+    rows.forEach(row => {
+        const status = row['Status'] || 'Unknown';
+        byStatus.set(status, (byStatus.get(status) || 0) + 1);
+    });
+    addCountTable(sheet, 'Status', Array.from(byStatus, ([label, count]) => ({ label, count })));
+
+    const byPriority = {};
+    rows.forEach(row => {
+        const name = getRowPriority(row, vocabulary).name;
+        byPriority[name] = (byPriority[name] || 0) + 1;
+    });
+    addCountTable(sheet, 'Priority', PRIORITY_ORDER.map(name => ({
+        label: vocabulary.exportLabels[name] || name.replace(/\b\w/g, c => c.toUpperCase()),
+        count: byPriority[name] || 0,
+        color: SEVERITY_COLORS[name]
+    })));
+
+    return sheet;
+}
+
+/**
+ * Build the XLSX export.
+ * @param {string[]} headers - Column order of the task sheet
+ * @param {Object[]} rows - Export rows keyed by header; 'Status' and 'Priority' feed the summary
+ * @param {Object} [options] - { priorities } vocabulary used to read severity and label priorities,
+ *   { labels } header text of renamed columns
+ * @returns {Promise<Buffer>} The workbook file
+ */
+async function buildExportWorkbook(headers, rows, options = {}) {
+    const vocabulary = options.priorities || createPriorityVocabulary();
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    addTasksSheet(workbook, headers, rows, vocabulary, options.labels || {});
+    addSummarySheet(workbook, rows, vocabulary);
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+    buildExportWorkbook
+};
@@ -2,8 +2,17 @@ const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 const { ChartJSNodeCanvas } = require('chartjs-node-canvas');
+const { formatPriority, getTaskPriority } = require('./priorities');
+const { toReportComments } = require('./report-comments');
 require('dotenv').config();
 
+// Severity key the report template filters, counts and charts on: BugHerd's own priority
+// name, whatever the project's vocabulary calls it. Vocabulary labels are only for display.
+function getSeverityKey(task) {
+    const priority = getTaskPriority(task);
+    return priority && priority.name !== 'not set' ? priority.name : 'notset';
+}
+
 class ReportGenerator {
     constructor() {
         this.templatePath = path.join(__dirname, 'New template.html');
@@ -17,7 +26,7 @@ class ReportGenerator {
         }
     }
 
-    async generateReport(projectId, filters = {}) {
+    async generateReport(projectId, filters = {}, options = {}) {
         try {
             
             // Step 1: Fetch project data
@@ -33,6 +42,13 @@ class ReportGenerator {
             if (Object.keys(filters).length > 0) {
                 tasks = this.filterTasks(tasks, filters);
             }
+            if (options.taskFilter) {
+                tasks = tasks.filter(options.taskFilter);
+            }
+            // Comment threads are only fetched for the tasks that made it into the report
+            if (options.attachComments) {
+                tasks = await options.attachComments(tasks);
+            }
             
             if (tasks.length === 0) {
                 console.warn('Warning: No tasks found matching the specified filters.');
@@ -46,7 +62,7 @@ class ReportGenerator {
             
             // Step 4: Render HTML
             console.log('Rendering HTML...');
-            const html = await this.renderHtml(project, tasks, charts);
+            const html = await this.renderHtml(project, tasks, charts, options.priorities);
             
             console.log('Report generated successfully in memory');
             return html;
@@ -529,7 +545,7 @@ class ReportGenerator {
         }
     }
 
-    async renderHtml(project, tasks, charts) {
+    async renderHtml(project, tasks, charts, priorities) {
         // Read the template file
         let html = fs.readFileSync(this.templatePath, 'utf8');
         
@@ -588,16 +604,10 @@ class ReportGenerator {
             const bugType = status && status.toLowerCase() === 'suggestion' ? 'Suggestion' : 
                           (status && status.toLowerCase() === 'qa team' ? 'Bug' : status);
             
-            // Extract priority
-            const priorityMap = {
-                1: 'Critical',
-                2: 'Important',
-                3: 'Normal',
-                4: 'Minor',
-                0: 'Not Set'
-            };
-            const priority = task.priority_id !== undefined ? 
-                priorityMap[task.priority_id] || 'Normal' : 'Normal';
+            // Extract priority, labelled in the project's vocabulary
+            const priorityLabel = formatPriority(task, priorities) || 'not set';
+            const priority = priorityLabel.replace(/\b\w/g, c => c.toUpperCase());
+            const severity = getSeverityKey(task);
             
             // Extract description and environment info
             const rawDescription = getValue(task.description);
@@ -812,11 +822,13 @@ class ReportGenerator {
                 resolution: env.resolution,
                 screenshot: screenshot,
                 reporter: reporter,
-                severity: priority, // Using same as priority for now
+                severity: severity,
                 tagsCategories: tags, // Same as tags for now
                 element: 'Not specified',
                 assignee: task.assignee_email || 'Unassigned',
-                comments: task.comments_count || 0,
+                comments: Array.isArray(task.comments) ? task.comments.length : (task.comments_count || 0),
+                // The thread itself, when the report was asked to include comments
+                commentThread: Array.isArray(task.comments) ? toReportComments(task.comments) : null,
                 // Keep original fields for backward compatibility
                 title: `Task ${index + 1}`,
                 status: status,
@@ -869,11 +881,11 @@ class ReportGenerator {
                                 labels: ['Critical', 'Important', 'Normal', 'Minor', 'Not Set'],
                                 datasets: [{
                                     data: [
-                                        window.bugData.filter(b => b.priority === 'critical').length,
-                                        window.bugData.filter(b => b.priority === 'important').length,
-                                        window.bugData.filter(b => b.priority === 'normal').length,
-                                        window.bugData.filter(b => b.priority === 'minor').length,
-                                        window.bugData.filter(b => !b.priority || b.priority === 'not set').length
+                                        window.bugData.filter(b => b.severity === 'critical').length,
+                                        window.bugData.filter(b => b.severity === 'important').length,
+                                        window.bugData.filter(b => b.severity === 'normal').length,
+                                        window.bugData.filter(b => b.severity === 'minor').length,
+                                        window.bugData.filter(b => b.severity === 'notset').length
                                     ],
                                     backgroundColor: [
                                         '#EF4444', // Critical - Red
@@ -906,7 +918,7 @@ class ReportGenerator {
                                         const labels = this.data.labels;
                                         const severity = labels[index].toLowerCase();
                                         if (typeof filterIssues === 'function') {
-                                            filterIssues(severity === 'not set' ? '' : severity);
+                                            filterIssues(severity === 'not set' ? 'notset' : severity);
                                         }
                                     }
                                 }
@@ -970,21 +982,9 @@ class ReportGenerator {
                 return String(value).trim();
             };
 
-            // Map priority_id to readable string
-            let priority = '';
-            const priorityMap = {
-                1: 'critical',
-                2: 'important',
-                3: 'normal',
-                4: 'minor',
-                0: 'not set',
-            };
-            
-            if (typeof task.priority_id !== 'undefined') {
-                priority = priorityMap[task.priority_id] || getValue(task.priority);
-            } else {
-                priority = getValue(task.priority);
-            }
+            // Map priority_id to readable string, and to the key the template filters on
+            const priority = formatPriority(task);
+            const severity = getSeverityKey(task);
 
             // Get status with fallback
             const status = task.status?.name || task.status || 'Open';
@@ -1091,7 +1091,7 @@ class ReportGenerator {
                 id: index + 1,  // BugID
                 bugStatus: 'New',
                 bugType: (status && status.toLowerCase() === 'suggestion' ? 'Suggestion' : (status && status.toLowerCase() === 'qa team' ? 'Bug' : status)),
-                severity: priority,
+                severity: severity,
                 priority: priority,
                 priorityId: task.priority_id || '',
                 description: description.replace(/<br\s*\/?>/g, '\n'),
@@ -1109,12 +1109,12 @@ class ReportGenerator {
             // Generate HTML for the task card
             return `
                 <div class="issue-card" 
-                     data-severity="${priority}" 
+                     data-severity="${severity}" 
                      data-status="${status.toLowerCase()}"
                      data-id="${task.id || ''}">
                     <div class="issue-header">
                         <span class="issue-id">#${taskData['BugID']}</span>
-                        <span class="issue-priority ${priority}">
+                        <span class="issue-priority ${severity}">
                             ${priority.charAt(0).toUpperCase() + priority.slice(1)}
                         </span>
                     </div>
@@ -0,0 +1,102 @@
+// Priority vocabulary shared by the importer, the CSV export and the reports.
+// BugHerd only knows a fixed set of priorities; spreadsheets use whatever words
+// the client prefers, so each vocabulary maps those words onto BugHerd's names.
+
+// BugHerd's priority mapping - map priority names to IDs
+const BUGHERD_PRIORITIES = {
+    'critical': { id: 1, name: 'critical' },    // Critical (highest)
+    'important': { id: 2, name: 'important' },   // Important
+    'normal': { id: 3, name: 'normal' },         // Normal
+    'minor': { id: 4, name: 'minor' },           // Minor (lowest)
+    'not set': { id: 0, name: 'not set' },       // Not set
+};
+
+// Words clients commonly use, understood in every project
+const DEFAULT_PRIORITY_VALUES = {
+    'critical': 'critical',
+    'p1': 'critical',
+    'blocker': 'critical',
+    'urgent': 'critical',
+    'highest': 'critical',
+    'important': 'important',
+    'p2': 'important',
+    'high': 'important',
+    'major': 'important',
+    'normal': 'normal',
+    'p3': 'normal',
+    'medium': 'normal',
+    'moderate': 'normal',
+    'minor': 'minor',
+    'p4': 'minor',
+    'low': 'minor',
+    'lowest': 'minor',
+    'trivial': 'minor',
+    'not set': 'not set',
+    'none': 'not set'
+};
+
+const normalizePriorityValue = (value) =>
+    String(value === undefined || value === null ? '' : value).trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Build a vocabulary from the defaults plus a custom value table.
+ * The first value a custom table maps to a priority becomes its export label,
+ * so a client using P1-P4 gets P1-P4 back in their exports.
+ * @param {Object} [custom] - Saved vocabulary with values of { word: priorityName }
+ * @returns {Object} { values, exportLabels }
+ */
+function createPriorityVocabulary(custom) {
+    const values = { ...DEFAULT_PRIORITY_VALUES };
+    const exportLabels = {};
+
+    Object.entries((custom && custom.values) || {}).forEach(([word, name]) => {
+        const priorityName = normalizePriorityValue(name);
+        values[normalizePriorityValue(word)] = priorityName;
+        if (!exportLabels[priorityName]) {
+            exportLabels[priorityName] = String(word).trim();
+        }
+    });
+
+    return { values, exportLabels };
+}
+
+const DEFAULT_VOCABULARY = createPriorityVocabulary();
+
+// Look up a spreadsheet value: { priority } when known, { error } otherwise. Blank means "not set".
+function resolvePriority(value, vocabulary = DEFAULT_VOCABULARY) {
+    const normalized = normalizePriorityValue(value);
+    if (!normalized) {
+        return { priority: BUGHERD_PRIORITIES['not set'] };
+    }
+
+    const priority = BUGHERD_PRIORITIES[vocabulary.values[normalized]];
+    return priority ? { priority } : { error: `Unknown priority "${value}"` };
+}
+
+// The BugHerd priority of a task, from its priority_id or priority name
+function getTaskPriority(task) {
+    if (task.priority_id !== undefined && task.priority_id !== null) {
+        const byId = Object.values(BUGHERD_PRIORITIES).find(p => p.id === Number(task.priority_id));
+        if (byId) return byId;
+    }
+    return BUGHERD_PRIORITIES[normalizePriorityValue(task.priority)] || null;
+}
+
+// Label a task's priority for export in the vocabulary's own words
+function formatPriority(task, vocabulary = DEFAULT_VOCABULARY) {
+    const priority = getTaskPriority(task);
+    if (!priority) {
+        return String(task.priority || '').trim();
+    }
+    return vocabulary.exportLabels[priority.name] || priority.name;
+}
+
+module.exports = {
+    BUGHERD_PRIORITIES,
+    DEFAULT_PRIORITY_VALUES,
+    normalizePriorityValue,
+    createPriorityVocabulary,
+    resolvePriority,
+    getTaskPriority,
+    formatPriority
+};
@@ -0,0 +1,24 @@
+// Comment threads for both HTML reports. Comment text comes from BugHerd users, so it is
+// escaped here, once, before either generator puts it into a template.
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (text) => String(text === undefined || text === null ? '' : text).replace(/[&<>"']/g, c => HTML_ENTITIES[c]);
+
+/**
+ * Prepare a task's comments for a report template.
+ * @param {Object[]} comments - [{ author: { name, email }, text, createdAt }] as fetched for exports
+ * @returns {Object[]} [{ author, html, createdAt }] with the author and text already escaped;
+ *   line breaks in the text become <br>
+ */
+function toReportComments(comments) {
+    return (Array.isArray(comments) ? comments : []).map(comment => ({
+        author: escapeHtml((comment.author && (comment.author.name || comment.author.email)) || 'Unknown'),
+        html: escapeHtml(comment.text).replace(/\n/g, '<br>'),
+        createdAt: comment.createdAt || null
+    }));
+}
+
+module.exports = {
+    toReportComments
+};
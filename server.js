@@ -3,12 +3,28 @@ const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
+const os = require('os');
 const axios = require('axios');
 const csv = require('csv-parser');
 const xlsx = require('xlsx');
 const fs = require('fs');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const archiver = require('archiver');
+const { finished } = require('stream/promises');
 const ReportGenerator = require('./generator');
 const BrandReportGenerator = require('./brand-generator');
+const {
+  BUGHERD_PRIORITIES,
+  DEFAULT_PRIORITY_VALUES,
+  normalizePriorityValue,
+  createPriorityVocabulary,
+  resolvePriority,
+  getTaskPriority,
+  formatPriority
+} = require('./priorities');
+const { buildExportWorkbook } = require('./export-workbook');
+const { parseTaskFilters, hasTaskFilters, createTaskMatcher } = require('./task-filters');
 const app = express();
 const port = process.env.PORT || 3000;
 
@@ -58,9 +74,15 @@ app.get('/api/styles.css', (req, res) => {
 // Configure multer for file uploads
 const upload = multer({
   dest: 'uploads/',
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit, room for a ZIP of screenshots
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || 
+    if (file.fieldname === 'attachments') {
+      if (path.extname(file.originalname).toLowerCase() === '.zip') {
+        cb(null, true);
+      } else {
+        cb(new Error('Attachments must be uploaded as a ZIP file'));
+      }
+    } else if (file.mimetype === 'text/csv' || 
         file.mimetype === 'application/vnd.ms-excel' || 
         file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
       cb(null, true);
@@ -70,6 +92,24 @@ const upload = multer({
   }
 });
 
+// The import spreadsheet plus an optional ZIP of files its attachment column refers to.
+// Both are read into memory by the handler and removed once the response is over, however it ends.
+const importUpload = [
+  upload.fields([{ name: 'file', maxCount: 1 }, { name: 'attachments', maxCount: 1 }]),
+  (req, res, next) => {
+    req.file = req.files && req.files.file ? req.files.file[0] : undefined;
+    req.attachmentsFile = req.files && req.files.attachments ? req.files.attachments[0] : undefined;
+    res.on('close', () => {
+      [req.file, req.attachmentsFile].filter(Boolean).forEach(file => {
+        if (fs.existsSync(file.path)) {
+          fs.unlinkSync(file.path);
+        }
+      });
+    });
+    next();
+  }
+];
+
 // BugHerd API configuration
 const BUGHERD_API_BASE = 'https://www.bugherd.com/api_v2';
 const BUGHERD_API_KEY = process.env.BUGHERD_API_KEY;
@@ -92,6 +132,63 @@ const bugherdApi = axios.create({
   }
 });
 
+// Retry transient BugHerd failures (rate limits, 5xx, dropped connections) with backoff.
+// POSTs are only retried on 429, since a 5xx may still have created the task.
+const BUGHERD_MAX_RETRIES = parseInt(process.env.BUGHERD_MAX_RETRIES || '4', 10);
+const BUGHERD_RETRY_BASE_DELAY = 500; // ms, doubled on every attempt
+const BUGHERD_RETRY_MAX_DELAY = 30000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isTransientError(error) {
+  const status = error.response?.status;
+  const method = (error.config?.method || 'get').toLowerCase();
+  if (status === 429) return true;
+  if (method === 'post') return false;
+  return !error.response || status === 408 || status >= 500;
+}
+
+// Honour Retry-After (seconds or an HTTP date), otherwise back off exponentially with jitter
+function getRetryDelay(error, attempt) {
+  const retryAfter = error.response?.headers?.['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+    if (delay >= 0) return Math.min(delay, BUGHERD_RETRY_MAX_DELAY);
+  }
+  const backoff = BUGHERD_RETRY_BASE_DELAY * Math.pow(2, attempt);
+  return Math.min(backoff + Math.random() * BUGHERD_RETRY_BASE_DELAY, BUGHERD_RETRY_MAX_DELAY);
+}
+
+bugherdApi.interceptors.response.use(null, async (error) => {
+  const config = error.config;
+  if (!config || !isTransientError(error)) {
+    throw error;
+  }
+
+  config.retryCount = config.retryCount || 0;
+  if (config.retryCount >= BUGHERD_MAX_RETRIES) {
+    error.message = `${error.message} (gave up after ${config.retryCount} retries)`;
+    throw error;
+  }
+
+  await sleep(getRetryDelay(error, config.retryCount));
+  config.retryCount++;
+  return bugherdApi.request(config);
+});
+
+// Run worker over items with at most `limit` in flight; stops taking new items once shouldStop() is true
+async function runWithConcurrency(items, limit, worker, shouldStop = () => false) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length && !shouldStop()) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+}
+
 // Initialize Report Generators
 const reportGenerator = new ReportGenerator();
 const brandReportGenerator = new BrandReportGenerator();
@@ -146,20 +243,11 @@ app.get('/api/projects', async (req, res) => {
   }
 });
 
-// Helper function to get priority mapping for BugHerd
-function getBugHerdPriority(priorityName) {
-  // BugHerd's priority mapping - map priority names to IDs
-  const priorityMap = {
-    'critical': { id: 1, name: 'critical' },    // Critical (highest)
-    'important': { id: 2, name: 'important' },   // Important
-    'normal': { id: 3, name: 'normal' },         // Normal
-    'minor': { id: 4, name: 'minor' },           // Minor (lowest)
-    'not set': { id: 0, name: 'not set' },       // Not set
-  };
-  
-  // Default to normal if priority is not in the map
-  return priorityMap[priorityName?.toLowerCase()] || priorityMap['normal'];
-}
+// Statuses BugHerd accepts on the default task board, used when a project's columns can't be fetched
+const KNOWN_STATUSES = [
+  'feedback', 'backlog', 'todo', 'doing', 'done', 'closed',
+  'qa team', 'in progress', 'in-progress', 'suggestion'
+];
 
 // Function to update task priority
 async function updateTaskPriority(projectId, taskId, priority) {
@@ -167,13 +255,7 @@ async function updateTaskPriority(projectId, taskId, priority) {
     // Updating task priority
     const response = await bugherdApi.put(
       `/projects/${projectId}/tasks/${taskId}.json`,
-      { 
-        task: { 
-          priority: priority.name,
-          // Include required fields that might be needed
-          status: 'QA Team' // This will be updated to the actual status in the main flow
-        } 
-      }
+      { task: { priority: priority.name } }
     );
     // Priority updated successfully
     return response.data;
@@ -195,844 +277,3413 @@ const parseCSV = (filePath) => {
   });
 };
 
-// Parse Excel file
-const parseExcel = (filePath) => {
+// Parse Excel file, reading the named sheets (the first sheet by default)
+const parseExcel = (filePath, sheetNames) => {
   const workbook = xlsx.readFile(filePath);
-  const sheetName = workbook.SheetNames[0];
-  return xlsx.utils.sheet_to_json(workbook.Sheets[sheetName]);
+  const names = sheetNames && sheetNames.length > 0 ? sheetNames : [workbook.SheetNames[0]];
+  return names.map(name => {
+    if (!workbook.Sheets[name]) {
+      throw new Error(`Sheet "${name}" not found in workbook`);
+    }
+    return { name, rows: xlsx.utils.sheet_to_json(workbook.Sheets[name]) };
+  });
+};
+
+// Parse an uploaded CSV/Excel file into [{ name, rows }]; CSV files have a single unnamed sheet
+const parseImportFile = async (filePath, originalName, sheetNames) => {
+  const fileExt = path.extname(originalName).toLowerCase();
+  if (fileExt === '.csv') {
+    return [{ name: null, rows: await parseCSV(filePath) }];
+  } else if (['.xlsx', '.xls'].includes(fileExt)) {
+    return parseExcel(filePath, sheetNames);
+  }
+  throw new Error('Unsupported file format');
 };
 
-// Upload and process file
-app.post('/api/upload', upload.single('file'), async (req, res) => {
+// Every project an import request targets: its projectId plus any per-sheet projects
+function getRequestProjectIds(body) {
+  const selection = parseSheetSelection(body);
+  return [body.projectId, ...(selection || []).map(sheet => sheet.projectId)].filter(Boolean);
+}
+
+// Read which workbook sheets to import, as [{ name, projectId }]
+function parseSheetSelection(body) {
+  if (!body.sheets) return null;
+  const sheets = typeof body.sheets === 'string' ? JSON.parse(body.sheets) : body.sheets;
+  if (!Array.isArray(sheets) || sheets.length === 0 || sheets.some(sheet => !sheet || !sheet.name)) {
+    throw new Error('Sheets must be a non-empty list of { name, projectId }');
+  }
+  return sheets;
+}
+
+// Local JSON storage for saved settings (mapping profiles etc.)
+const DATA_DIR = path.join(__dirname, 'data');
+
+function readDataFile(name, fallback) {
+  const filePath = path.join(DATA_DIR, name);
+  if (!fs.existsSync(filePath)) return fallback;
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`Error reading ${name}:`, error.message);
+    return fallback;
+  }
+}
 
-    if (!req.body.projectId) {
-      return res.status(400).json({ error: 'Project ID is required' });
+function writeDataFile(name, data) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(path.join(DATA_DIR, name), JSON.stringify(data, null, 2));
+}
+
+// BugHerd task fields a spreadsheet column can be mapped to.
+// Aliases are compared after lowercasing and stripping punctuation.
+const IMPORT_FIELDS = {
+  id: { label: 'Row ID', aliases: ['id', 'bug id', 'bugid', 'row id', 'issue id', 'ref', 'reference'] },
+  external_id: { label: 'External ID', aliases: ['external id', 'external ref', 'external reference', 'ticket id', 'import id'] },
+  bugherd_id: { label: 'BugHerd ID', aliases: ['bugherd id', 'bugherd task id', 'task id'] },
+  local_task_id: { label: 'Task #', aliases: ['task #', 'local task id', 'task number', 'task no', 'local id'] },
+  description: { label: 'Description', aliases: ['description', 'summary', 'issue summary', 'issue', 'title', 'bug', 'details', 'issue description'] },
+  priority: { label: 'Priority', aliases: ['priority', 'prio'] },
+  status: { label: 'Status', aliases: ['status', 'state'] },
+  tags: { label: 'Tags', aliases: ['tags', 'tag', 'labels', 'categories', 'tags categories', 'category'] },
+  severity: { label: 'Severity', aliases: ['severity', 'impact'] },
+  requester_email: { label: 'Requester', aliases: ['requester email', 'requester', 'requester name', 'reporter', 'reporter email', 'email', 'reported by'] },
+  assignee: { label: 'Assignee', aliases: ['assignee', 'assigned to', 'assigned', 'assignee email', 'owner', 'developer'] },
+  os: { label: 'OS', aliases: ['os', 'operating system', 'platform'] },
+  browser: { label: 'Browser', aliases: ['browser', 'env browser', 'environment', 'env'] },
+  browser_version: { label: 'Browser Version', aliases: ['browser version', 'version'] },
+  resolution: { label: 'Resolution', aliases: ['resolution', 'screen resolution', 'screen'] },
+  browser_size: { label: 'Browser Window', aliases: ['browser size', 'browser window', 'window size', 'viewport'] },
+  site: { label: 'Site / URL', aliases: ['site', 'url', 'site url', 'page', 'page url', 'link', 'site + url'] },
+  attachments: { label: 'Screenshot / Attachments', aliases: ['screenshot url', 'screenshot', 'screenshots', 'attachment', 'attachments', 'evidence'] },
+  comments: { label: 'Comments', aliases: ['comments', 'comment', 'conversation', 'discussion', 'history'] }
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Columns the standard export writes that carry nothing to import ("Bug Status" is always "New")
+const IGNORED_IMPORT_COLUMNS = ['bug status'];
+
+// Exact match on a field's key or alias; aliases with punctuation ("task #") also match as typed
+function matchesImportField(header, field) {
+  const normalized = normalizeHeader(header);
+  const typed = String(header || '').toLowerCase().trim();
+  return normalizeHeader(field) === normalized ||
+    IMPORT_FIELDS[field].aliases.some(alias => alias === normalized || alias === typed);
+}
+
+// An unmapped column with a value that looks like a task key, e.g. "Task #" left out of a profile
+function findUnmappedTaskKey(row, mapping) {
+  return Object.keys(row).find(column =>
+    !mapping[column] &&
+    String(row[column] ?? '').trim() !== '' &&
+    ['bugherd_id', 'local_task_id'].some(field => matchesImportField(column, field))
+  );
+}
+
+// Collect every column name used across the parsed rows
+function getRowHeaders(rows) {
+  const headers = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!headers.includes(key)) headers.push(key);
+    });
+  });
+  return headers;
+}
+
+// Columns can also be mapped to one of the project's custom fields, by name: "custom:<name>"
+const CUSTOM_FIELD_PREFIX = 'custom:';
+
+const isCustomFieldKey = (field) => typeof field === 'string' && field.startsWith(CUSTOM_FIELD_PREFIX);
+
+// Suggest a { sourceColumn: field } mapping from a header row
+function suggestColumnMapping(headers, customFields = []) {
+  const mapping = {};
+  const used = new Set();
+  const fieldEntries = Object.entries(IMPORT_FIELDS);
+
+  // Columns named exactly like a custom field (e.g. from an export) go back to it
+  headers.forEach(header => {
+    const field = customFields.find(f => normalizeHeader(f.name) === normalizeHeader(header));
+    if (field) mapping[header] = CUSTOM_FIELD_PREFIX + field.name;
+  });
+
+  // First pass: exact matches on field key or alias
+  headers.forEach(header => {
+    if (mapping[header] || IGNORED_IMPORT_COLUMNS.includes(normalizeHeader(header))) return;
+    const match = fieldEntries.find(([field]) => !used.has(field) && matchesImportField(header, field));
+    if (match) {
+      mapping[header] = match[0];
+      used.add(match[0]);
     }
+  });
 
-    const filePath = req.file.path;
-    const fileExt = path.extname(req.file.originalname).toLowerCase();
-    let bugs = [];
+  // Second pass: partial matches for whatever is left (e.g. "Env / Browser")
+  headers.forEach(header => {
+    if (mapping[header] || IGNORED_IMPORT_COLUMNS.includes(normalizeHeader(header))) return;
+    const words = normalizeHeader(header).split(' ');
+    const match = fieldEntries.find(([field, def]) =>
+      !used.has(field) &&
+      def.aliases.some(alias => !alias.includes(' ') && alias.length > 2 && words.includes(alias))
+    );
+    if (match) {
+      mapping[header] = match[0];
+      used.add(match[0]);
+    }
+  });
 
-    try {
-      // Parse the uploaded file based on its extension
-      if (fileExt === '.csv') {
-        bugs = await parseCSV(filePath);
-      } else if (['.xlsx', '.xls'].includes(fileExt)) {
-        bugs = parseExcel(filePath);
-      } else {
-        throw new Error('Unsupported file format');
-      }
+  return mapping;
+}
 
-      // Process each bug and create in BugHerd
-      const results = [];
-      for (const bug of bugs) {
-        try {
-          // Map CSV fields to BugHerd API fields
-          const priorityName = bug.priority || 'not set'; // Read priority name from CSV
-          const priority = getBugHerdPriority(priorityName);
-          
-                          // Format the description with additional details
-          let description = bug.description || '';
-          const details = [];
-          
-          // Add environment details
-          if (bug.os) details.push(`OS: ${bug.os}`);
-          if (bug.browser) details.push(`Browser: ${bug.browser} ${bug.browser_version || ''}`.trim());
-          if (bug.resolution) details.push(`Resolution: ${bug.resolution}`);
-          if (bug.browser_size) details.push(`Browser Window: ${bug.browser_size}`);
-          
-          // Add URL at the bottom if available
-          const siteUrl = bug.site || bug.siteUrl || bug.url || '';
-          if (siteUrl) {
-            details.push(`URL: ${siteUrl}`);
-          }
-          
-          if (details.length > 0) {
-            description += '\n\n' + details.join('\n');
-          }
-          
-          const bugData = {
-            description: description,
-            priority: priority.name,
-            priority_id: priority.id, // Add the mapped priority_id
-            status: bug.status || 'backlog',
-            tag_names: bug.tags ? bug.tags.split(',').map(tag => tag.trim()) : [],
-            requester_email: bug.requester_email,
-            requester_name: 'CSV Importer',
-            browser: bug.browser || '',
-            browser_version: '',
-            os: bug.os || '',
-            resolution: bug.resolution || '',
-            site_page: bug.site || ''
-          };
-          
-          // Add severity as a custom field
-          if (bug.severity) {
-            // First, ensure tag_names exists
-            bugData.tag_names = bugData.tag_names || [];
-            
-            // Add severity as both a tag and custom field
-            const severityValue = bug.severity.toLowerCase().trim();
-            bugData.tag_names.push(`severity:${severityValue}`);
-            
-            // Add as custom field (BugHerd's format)
-            bugData.custom_fields = [
-              {
-                id: 'severity', // This should match your custom field ID in BugHerd
-                value: severityValue
-              }
-            ];
-          }
-          
-          // Creating bug with provided data
-
-          // Create bug in BugHerd
-          const response = await bugherdApi.post(
-            `/projects/${req.body.projectId}/tasks.json`,
-            { task: bugData }
-          );
-          
-          // Bug created successfully
-          
-          // Update priority separately if needed
-          if (priority && priority.id !== 0) { // If not normal priority (3)
-            try {
-              await updateTaskPriority(
-                req.body.projectId,
-                response.data.id,
-                priority
-              );
-            } catch (error) {
-              // Error updating priority (non-critical)
-              // Continue even if priority update fails
-            }
-          }
+// Turn a raw spreadsheet row into a bug keyed by IMPORT_FIELDS, with custom field
+// values collected under custom_fields as { name: value }
+function applyColumnMapping(row, mapping) {
+  const bug = {};
+  Object.entries(mapping).forEach(([column, field]) => {
+    if (!IMPORT_FIELDS[field] && !isCustomFieldKey(field)) return;
+    const value = row[column];
+    if (value === undefined || value === null || String(value).trim() === '') return;
+    if (isCustomFieldKey(field)) {
+      bug.custom_fields = { ...bug.custom_fields, [field.slice(CUSTOM_FIELD_PREFIX.length)]: String(value).trim() };
+    } else {
+      bug[field] = String(value).trim();
+    }
+  });
+  return bug;
+}
 
-          results.push({
-            id: bug.id,
-            status: 'success',
-            bugherdId: response.data.id,
-            url: response.data.url
-          });
-        } catch (error) {
-          // Error creating bug
-          results.push({
-            id: bug.id,
-            status: 'error',
-            error: error.message
-          });
-        }
-      }
+// Mapping profiles are stored as [{ id, name, mapping, createdAt, updatedAt }]
+const MAPPING_PROFILES_FILE = 'mapping-profiles.json';
 
-      // Clean up the uploaded file
-      fs.unlinkSync(filePath);
+function getMappingProfiles() {
+  return readDataFile(MAPPING_PROFILES_FILE, []);
+}
 
-      res.json({
-        success: true,
-        total: bugs.length,
-        results
-      });
-    } catch (error) {
-      // Clean up the uploaded file in case of error
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-      }
-      throw error;
+// Work out which mapping an import request wants: explicit, saved profile or auto-suggested
+function resolveImportMapping(body, headers, customFields) {
+  if (body.mapping) {
+    const mapping = typeof body.mapping === 'string' ? JSON.parse(body.mapping) : body.mapping;
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw new Error('Column mapping must be an object of { column: field }');
     }
-  } catch (error) {
-    handleApiError(error, res);
+    return mapping;
+  }
+  if (body.mappingProfileId) {
+    const profile = getMappingProfiles().find(p => p.id === body.mappingProfileId);
+    if (!profile) {
+      throw new Error(`Mapping profile ${body.mappingProfileId} not found`);
+    }
+    return profile.mapping;
   }
+  return suggestColumnMapping(headers, customFields);
+}
+
+// Import fields as [{ key, label }], followed by any custom fields
+function getImportFieldList(customFields = []) {
+  return [
+    ...Object.entries(IMPORT_FIELDS).map(([key, def]) => ({ key, label: def.label })),
+    ...customFields.map(field => ({ key: CUSTOM_FIELD_PREFIX + field.name, label: `${field.name} (custom field)` }))
+  ];
+}
+
+// List available import fields and saved mapping profiles
+app.get('/api/mapping-profiles', (req, res) => {
+  res.json({
+    success: true,
+    fields: getImportFieldList(),
+    profiles: getMappingProfiles()
+  });
 });
 
-// Generate brand report (GET endpoint)
-app.get('/api/generate-brand-report', async (req, res) => {
-  try {
-    const { projectId, ...filters } = req.query;
-    
-    if (!projectId) {
-      return res.status(400).json({ error: 'Project ID is required' });
-    }
+// Create a mapping profile, or overwrite the one with the same name
+app.post('/api/mapping-profiles', (req, res) => {
+  const { name, mapping } = req.body || {};
 
-    console.log('Generating brand report for project:', projectId);
-    console.log('Using filters:', filters);
-    
-    // First fetch the project data
-    const project = await brandReportGenerator.fetchProject(projectId);
-    console.log('Fetched project data:', JSON.stringify(project, null, 2));
-    
-    // Then generate the report with the project data
-    let html = await brandReportGenerator.generateReport(projectId, filters);
-    
-    // Debug: Check if siteDisplay was replaced
-    if (html.includes('{{siteDisplay}}')) {
-        console.warn('Warning: siteDisplay placeholder was not replaced in the template');
-        // Try to get the site URL from the project data
-        if (project && project.site && project.site.url) {
-            console.log('Found site URL in project data, forcing replacement');
-            const siteDisplay = project.site.url.replace(/^https?:\/\//, '').replace(/^www\./, '');
-            html = html.replace('{{siteDisplay}}', siteDisplay);
-        }
-    }
-    
-    res.set('Content-Type', 'text/html');
-    res.send(html);
-  } catch (error) {
-    console.error('Error generating brand report:', error);
-    res.status(500).json({ 
-      error: 'Failed to generate brand report',
-      details: error.message 
-    });
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({ success: false, error: 'Profile name is required' });
+  }
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return res.status(400).json({ success: false, error: 'Mapping must be an object of { column: field }' });
+  }
+  const unknownFields = Object.values(mapping).filter(field => field && !IMPORT_FIELDS[field] && !isCustomFieldKey(field));
+  if (unknownFields.length > 0) {
+    return res.status(400).json({ success: false, error: `Unknown fields: ${unknownFields.join(', ')}` });
+  }
+
+  const profiles = getMappingProfiles();
+  const now = new Date().toISOString();
+  const cleanMapping = Object.fromEntries(Object.entries(mapping).filter(([, field]) => field));
+  let profile = profiles.find(p => p.name.toLowerCase() === String(name).trim().toLowerCase());
+
+  if (profile) {
+    profile.mapping = cleanMapping;
+    profile.updatedAt = now;
+  } else {
+    profile = {
+      id: crypto.randomUUID(),
+      name: String(name).trim(),
+      mapping: cleanMapping,
+      createdAt: now,
+      updatedAt: now
+    };
+    profiles.push(profile);
   }
+
+  writeDataFile(MAPPING_PROFILES_FILE, profiles);
+  res.json({ success: true, profile });
 });
 
-// Generate HTML report
-app.post('/api/generate-html-report', async (req, res) => {
+// Apply a mapping to an uploaded file's header row (auto-suggested when no profile is given)
+app.post('/api/mapping-profiles/apply', upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'No file uploaded' });
+  }
+
+  const filePath = req.file.path;
   try {
-    const { projectId, filters = {} } = req.body;
-    
-    if (!projectId) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Project ID is required' 
-      });
-    }
+    // Columns from every selected sheet share one mapping
+    const selection = parseSheetSelection(req.body);
+    const sheets = await parseImportFile(filePath, req.file.originalname, selection && selection.map(sheet => sheet.name));
+    const rows = sheets.flatMap(sheet => sheet.rows);
+    const headers = getRowHeaders(rows);
 
-    console.log(`Generating HTML report for project ${projectId} with filters:`, filters);
-    
-    try {
-      // Generate the report with filters and get the HTML content directly
-      const reportHtml = await reportGenerator.generateReport(projectId, filters);
-      
-      // Send the HTML content
-      res.setHeader('Content-Type', 'text/html');
-      return res.send(reportHtml);
-    } catch (genError) {
-      console.error('Error in report generation:', genError);
-      throw new Error(`Failed to generate report: ${genError.message}`);
-    }
-    
+    // Offer the custom fields of every target project
+    const customFields = await loadCustomFieldsForProjects(getRequestProjectIds(req.body));
+    const mapping = resolveImportMapping(req.body, headers, customFields);
+
+    res.json({
+      success: true,
+      headers,
+      mapping,
+      fields: getImportFieldList(customFields),
+      suggestedMapping: suggestColumnMapping(headers, customFields),
+      sample: rows.slice(0, 3).map(row => applyColumnMapping(row, mapping))
+    });
   } catch (error) {
-    console.error('Error in HTML report endpoint:', error);
-    
-    // Send error response as HTML
-    const errorHtml = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-          <title>Error Generating Report</title>
-          <style>
-              body { font-family: Arial, sans-serif; padding: 40px; text-align: center; }
-              .error-container { max-width: 600px; margin: 0 auto; }
-              h1 { color: #dc3545; }
-              pre { 
-                  background: #f8f9fa; 
-                  padding: 20px; 
-                  border-radius: 5px; 
-                  text-align: left;
-                  white-space: pre-wrap;
-                  word-wrap: break-word;
-              }
-          </style>
-      </head>
-      <body>
-          <div class="error-container">
-              <h1>Error Generating Report</h1>
-              <p>An error occurred while generating the HTML report:</p>
-              <pre>${error.message || 'Unknown error'}</pre>
-              <p>Please try again or contact support if the issue persists.</p>
-          </div>
-      </body>
-      </html>
-    `;
-    
-    res.status(500).send(errorHtml);
+    res.status(400).json({ success: false, error: error.message });
+  } finally {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
   }
 });
 
-// Export bugs from BugHerd
-app.post('/api/export', async (req, res) => {
-  // Export request received
-  
-  let response;  // Moved to outer scope for error handling
-  
-  try {
-    // Validate request body
-    if (!req.body) {
-      // No request body received
-      return res.status(400).json({ error: 'Request body is required' });
-    }
-    
-    const { projectId, filters } = req.body;
-    
-    // Validating export request
+// Extra names people go by in spreadsheets, stored as { alias: email }
+const MEMBER_ALIASES_FILE = 'member-aliases.json';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
-    // Validate projectId
-    if (!projectId) {
-      const error = 'Validation failed: Project ID is required';
-      // Validation error
-      return res.status(400).json({ 
-        success: false,
-        error: error,
-        receivedData: { projectId, hasFilters: !!filters }
-      });
-    }
+function getMemberAliases() {
+  return readDataFile(MEMBER_ALIASES_FILE, {});
+}
 
-    // Validate filters
-    if (!filters || (typeof filters !== 'object') || 
-        (!filters.feedback && !filters.taskBoard && !filters.archive)) {
-      const error = 'Validation failed: At least one filter must be enabled';
-      // Validation error
-      return res.status(400).json({ 
-        success: false,
-        error: error,
-        receivedFilters: filters
-      });
-    }
+const normalizePersonKey = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
 
-    // Starting export process
+const getMemberName = (member) =>
+  member.display_name || member.name || [member.first_name, member.last_name].filter(Boolean).join(' ') || member.email;
 
-    // Debug log the project ID and filters
-    console.log('Exporting tasks for project ID:', projectId);
-    console.log('Using filters:', filters);
+// Members and guests of a project, falling back to the organisation's members
+async function fetchProjectMembers(projectId) {
+  const response = await bugherdApi.get(`/projects/${projectId}.json`);
+  const project = response.data.project || response.data;
+  const members = [...(project.members || []), ...(project.guests || [])];
+  if (members.length > 0) return members;
 
-    // Fetch all tasks from BugHerd API with pagination
-    let tasks = [];
-    const perPage = 100; // BugHerd API max per_page is usually 100
-    let page = 1;
-    let hasMore = true;
+  const orgResponse = await bugherdApi.get('/users/members.json');
+  return orgResponse.data.users || [];
+}
 
-    try {
-      while (hasMore) {
-        // Fetching page of tasks
-        const response = await bugherdApi.get(`/projects/${projectId}/tasks.json`, {
-          params: { page, per_page: perPage, include: 'attachments' },
-          timeout: 30000
-        });
-        if (!response.data || !Array.isArray(response.data.tasks)) {
-          break;
-        }
-        const pageTasks = response.data.tasks;
-        // Page of tasks fetched
-        tasks = [...tasks, ...pageTasks];
-        if (pageTasks.length < perPage) {
-          hasMore = false;
-        } else {
-          page++;
+// Index members by every way a spreadsheet might name them: email, full name,
+// email user name and any saved alias. Aliases win over automatic matches.
+function buildMemberDirectory(members, aliases = getMemberAliases()) {
+  const directory = new Map();
+  const add = (key, member) => {
+    const normalized = normalizePersonKey(key);
+    if (!normalized) return;
+    const matches = directory.get(normalized) || [];
+    if (!matches.includes(member)) matches.push(member);
+    directory.set(normalized, matches);
+  };
+
+  members.forEach(member => {
+    add(member.email, member);
+    add(getMemberName(member), member);
+    add([member.first_name, member.last_name].filter(Boolean).join(' '), member);
+    if (member.email) add(member.email.split('@')[0], member);
+  });
+
+  Object.entries(aliases).forEach(([alias, target]) => {
+    const matches = directory.get(normalizePersonKey(target));
+    if (matches && matches.length === 1) {
+      directory.set(normalizePersonKey(alias), matches);
+    }
+  });
+  return directory;
+}
+
+// Member directory for a project, or null when its members can't be loaded
+async function loadMemberDirectory(projectId) {
+  try {
+    return buildMemberDirectory(await fetchProjectMembers(projectId));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Match a name, email or alias to exactly one member: { member } or { error }
+function resolveMember(value, directory) {
+  const matches = directory.get(normalizePersonKey(value)) || [];
+  if (matches.length === 1) return { member: matches[0] };
+  if (matches.length > 1) return { error: `"${value}" matches several project members` };
+  return { error: `"${value}" is not a member of this project` };
+}
+
+// List saved member aliases
+app.get('/api/member-aliases', (req, res) => {
+  res.json({ success: true, aliases: getMemberAliases() });
+});
+
+// Replace the saved member aliases with { alias: email }
+app.post('/api/member-aliases', (req, res) => {
+  const { aliases } = req.body || {};
+  if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+    return res.status(400).json({ success: false, error: 'Aliases must be an object of { alias: email }' });
+  }
+  const invalid = Object.entries(aliases).filter(([alias, email]) => !String(alias).trim() || !EMAIL_PATTERN.test(email));
+  if (invalid.length > 0) {
+    return res.status(400).json({ success: false, error: `Invalid aliases: ${invalid.map(([alias]) => alias).join(', ')}` });
+  }
+
+  const cleanAliases = Object.fromEntries(
+    Object.entries(aliases).map(([alias, email]) => [String(alias).trim(), String(email).trim()])
+  );
+  writeDataFile(MEMBER_ALIASES_FILE, cleanAliases);
+  res.json({ success: true, aliases: cleanAliases });
+});
+
+// Priority vocabularies are named value tables that projects share, e.g. one per client:
+// { vocabularies: [{ id, name, values: { word: priorityName } }], projects: { projectId: vocabularyId } }
+const PRIORITY_VOCABULARIES_FILE = 'priority-vocabularies.json';
+
+function getPrioritySettings() {
+  return readDataFile(PRIORITY_VOCABULARIES_FILE, { vocabularies: [], projects: {} });
+}
+
+// The vocabulary import and export use for a project: the defaults plus its assigned table
+function getProjectPriorities(projectId) {
+  const settings = getPrioritySettings();
+  const vocabularyId = settings.projects[projectId];
+  return createPriorityVocabulary(settings.vocabularies.find(v => v.id === vocabularyId));
+}
+
+// List BugHerd priorities, the built-in values and the saved vocabularies
+app.get('/api/priority-vocabularies', (req, res) => {
+  res.json({
+    success: true,
+    priorities: Object.keys(BUGHERD_PRIORITIES),
+    defaults: DEFAULT_PRIORITY_VALUES,
+    ...getPrioritySettings()
+  });
+});
+
+// Create a vocabulary, or overwrite the one with the same name
+app.post('/api/priority-vocabularies', (req, res) => {
+  const { name, values } = req.body || {};
+
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({ success: false, error: 'Vocabulary name is required' });
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values) || Object.keys(values).length === 0) {
+    return res.status(400).json({ success: false, error: 'Values must be an object of { value: priority }' });
+  }
+  const invalid = Object.entries(values)
+    .filter(([word, priority]) => !normalizePriorityValue(word) || !BUGHERD_PRIORITIES[normalizePriorityValue(priority)]);
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Values must map to one of ${Object.keys(BUGHERD_PRIORITIES).join(', ')}: ${invalid.map(([word]) => word).join(', ')}`
+    });
+  }
+
+  const settings = getPrioritySettings();
+  const now = new Date().toISOString();
+  const cleanValues = Object.fromEntries(
+    Object.entries(values).map(([word, priority]) => [String(word).trim(), normalizePriorityValue(priority)])
+  );
+  let vocabulary = settings.vocabularies.find(v => v.name.toLowerCase() === String(name).trim().toLowerCase());
+
+  if (vocabulary) {
+    vocabulary.values = cleanValues;
+    vocabulary.updatedAt = now;
+  } else {
+    vocabulary = {
+      id: crypto.randomUUID(),
+      name: String(name).trim(),
+      values: cleanValues,
+      createdAt: now,
+      updatedAt: now
+    };
+    settings.vocabularies.push(vocabulary);
+  }
+
+  writeDataFile(PRIORITY_VOCABULARIES_FILE, settings);
+  res.json({ success: true, vocabulary });
+});
+
+// Choose which vocabulary a project uses; a null vocabularyId goes back to the defaults
+app.put('/api/projects/:projectId/priority-vocabulary', (req, res) => {
+  const { vocabularyId } = req.body || {};
+  const settings = getPrioritySettings();
+
+  if (vocabularyId && !settings.vocabularies.some(v => v.id === vocabularyId)) {
+    return res.status(404).json({ success: false, error: 'Priority vocabulary not found' });
+  }
+
+  if (vocabularyId) {
+    settings.projects[req.params.projectId] = vocabularyId;
+  } else {
+    delete settings.projects[req.params.projectId];
+  }
+  writeDataFile(PRIORITY_VOCABULARIES_FILE, settings);
+  res.json({ success: true, projectId: req.params.projectId, vocabularyId: vocabularyId || null });
+});
+
+// Feedback (the inbox) and the archive are statuses outside a project's task board columns
+const SPECIAL_STATUSES = {
+  feedback: { id: null, name: 'feedback' },
+  closed: { id: null, name: 'closed' }
+};
+const SPECIAL_STATUS_ALIASES = {
+  feedback: 'feedback',
+  inbox: 'feedback',
+  closed: 'closed',
+  archive: 'closed',
+  archived: 'closed'
+};
+
+const normalizeStatus = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// A project's task board columns as [{ id, name }], in board order
+async function fetchProjectColumns(projectId) {
+  const response = await bugherdApi.get(`/projects/${projectId}/columns.json`);
+  return (response.data.columns || [])
+    .slice()
+    .sort((a, b) => (a.position || 0) - (b.position || 0))
+    .map(column => ({ id: column.id, name: column.name }));
+}
+
+// Saved answers for status values that don't match a column by name:
+// { projectId: { normalizedValue: columnId | 'feedback' | 'closed' } }
+const STATUS_MAPPINGS_FILE = 'status-mappings.json';
+
+function getStatusMappings(projectId) {
+  return readDataFile(STATUS_MAPPINGS_FILE, {})[projectId] || {};
+}
+
+// A project's columns and saved status mappings, or null when the columns can't be loaded
+async function loadStatusBoard(projectId) {
+  try {
+    return { columns: await fetchProjectColumns(projectId), mappings: getStatusMappings(projectId) };
+  } catch (error) {
+    return null;
+  }
+}
+
+function getStatusTarget(target, board) {
+  if (SPECIAL_STATUSES[target]) return SPECIAL_STATUSES[target];
+  return board.columns.find(column => String(column.id) === String(target)) || null;
+}
+
+// Match a free-text status to the board. Returns { status, match } where match is
+// default, exact, mapped or partial; or { error, match, candidates } when it is
+// ambiguous or unknown. Without a board only the default statuses are recognised.
+function resolveStatus(value, board) {
+  const normalized = normalizeStatus(value);
+
+  if (!board) {
+    if (!normalized) return { status: { id: null, name: 'backlog' }, match: 'default' };
+    const name = String(value).trim().toLowerCase();
+    return KNOWN_STATUSES.includes(name)
+      ? { status: { id: null, name }, match: 'exact' }
+      : { error: `Unknown status "${value}"`, match: 'unknown', candidates: [] };
+  }
+
+  // Blank statuses go to the backlog column, or the first column on custom boards
+  if (!normalized) {
+    const backlog = board.columns.find(column => normalizeStatus(column.name) === 'backlog') || board.columns[0];
+    return { status: backlog || SPECIAL_STATUSES.feedback, match: 'default' };
+  }
+
+  const mapped = board.mappings[normalized] && getStatusTarget(board.mappings[normalized], board);
+  if (mapped) return { status: mapped, match: 'mapped' };
+
+  const exact = board.columns.find(column => normalizeStatus(column.name) === normalized);
+  if (exact) return { status: exact, match: 'exact' };
+  if (SPECIAL_STATUS_ALIASES[normalized]) {
+    return { status: SPECIAL_STATUSES[SPECIAL_STATUS_ALIASES[normalized]], match: 'exact' };
+  }
+
+  const candidates = board.columns.filter(column => {
+    const name = normalizeStatus(column.name);
+    return name.includes(normalized) || normalized.includes(name);
+  });
+  if (candidates.length === 1) return { status: candidates[0], match: 'partial' };
+
+  return {
+    error: candidates.length > 1
+      ? `Status "${value}" matches several columns`
+      : `Status "${value}" is not a column on this project's board`,
+    match: candidates.length > 1 ? 'ambiguous' : 'unknown',
+    candidates
+  };
+}
+
+// Task payload fields for a resolved status; board columns are sent by ID
+function getStatusFields(status) {
+  return status.id !== null && status.id !== undefined
+    ? { status: status.name, status_id: status.id }
+    : { status: status.name };
+}
+
+// List a project's task board columns and saved status mappings
+app.get('/api/projects/:projectId/columns', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      columns: await fetchProjectColumns(req.params.projectId),
+      specialStatuses: Object.keys(SPECIAL_STATUSES),
+      mappings: getStatusMappings(req.params.projectId)
+    });
+  } catch (error) {
+    handleApiError(error, res);
+  }
+});
+
+// Save which column free-text status values go to: { mappings: { value: columnId | 'feedback' | 'closed' | null } }
+app.post('/api/projects/:projectId/status-mappings', async (req, res) => {
+  const { mappings } = req.body || {};
+  if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings)) {
+    return res.status(400).json({ success: false, error: 'Mappings must be an object of { status: columnId }' });
+  }
+
+  try {
+    const board = { columns: await fetchProjectColumns(req.params.projectId), mappings: {} };
+    const invalid = Object.entries(mappings)
+      .filter(([value, target]) => !normalizeStatus(value) || (target !== null && !getStatusTarget(target, board)));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown columns for: ${invalid.map(([value]) => value).join(', ')}`
+      });
+    }
+
+    const allMappings = readDataFile(STATUS_MAPPINGS_FILE, {});
+    const projectMappings = allMappings[req.params.projectId] || {};
+    Object.entries(mappings).forEach(([value, target]) => {
+      if (target === null) {
+        delete projectMappings[normalizeStatus(value)];
+      } else {
+        projectMappings[normalizeStatus(value)] = String(target);
+      }
+    });
+    allMappings[req.params.projectId] = projectMappings;
+    writeDataFile(STATUS_MAPPINGS_FILE, allMappings);
+
+    res.json({ success: true, mappings: projectMappings });
+  } catch (error) {
+    handleApiError(error, res);
+  }
+});
+
+// A project's custom fields as [{ id, name, type, options }], options being the allowed values
+async function fetchProjectCustomFields(projectId) {
+  const response = await bugherdApi.get(`/projects/${projectId}/custom_fields.json`);
+  return (response.data.custom_fields || []).map(field => ({
+    id: field.id,
+    name: field.name || field.label,
+    type: field.type || field.field_type || 'text',
+    options: (field.options || field.values || []).map(option =>
+      typeof option === 'object' ? String(option.name || option.value || option.label) : String(option)
+    )
+  }));
+}
+
+// Custom fields for a project, or null when they can't be loaded
+async function loadCustomFields(projectId) {
+  try {
+    return await fetchProjectCustomFields(projectId);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Custom fields of each project as a Map of projectId → fields (null when they can't be loaded)
+async function loadCustomFieldsByProject(projectIds) {
+  const byProject = new Map();
+  for (const projectId of new Set(projectIds)) {
+    byProject.set(projectId, await loadCustomFields(projectId));
+  }
+  return byProject;
+}
+
+// Every custom field used by a set of projects, one entry per field name
+function mergeCustomFields(byProject) {
+  const fields = [];
+  byProject.forEach(projectFields => {
+    (projectFields || []).forEach(field => {
+      if (!fields.some(f => normalizeHeader(f.name) === normalizeHeader(field.name))) fields.push(field);
+    });
+  });
+  return fields;
+}
+
+async function loadCustomFieldsForProjects(projectIds) {
+  return mergeCustomFields(await loadCustomFieldsByProject(projectIds));
+}
+
+const findCustomField = (customFields, name) =>
+  (customFields || []).find(field => normalizeHeader(field.name) === normalizeHeader(name));
+
+// Match a row's custom field values to the project's fields by name.
+// A Severity column also goes to a "Severity" custom field when the project has one.
+// Returns { values: [{ id, value }], warnings } with anything that can't be sent skipped.
+function resolveCustomFieldValues(bug, customFields) {
+  const entries = Object.entries(bug.custom_fields || {});
+  const severityField = findCustomField(customFields, 'severity');
+  if (bug.severity && severityField && !entries.some(([name]) => findCustomField([severityField], name))) {
+    entries.push([severityField.name, bug.severity]);
+  }
+
+  const values = [];
+  const warnings = [];
+  entries.forEach(([name, value]) => {
+    if (!customFields) {
+      warnings.push(`Custom field "${name}" could not be checked; its value will be skipped`);
+      return;
+    }
+    const field = findCustomField(customFields, name);
+    if (!field) {
+      warnings.push(`Custom field "${name}" does not exist in this project; its value will be skipped`);
+      return;
+    }
+    if (field.options.length > 0) {
+      const option = field.options.find(o => normalizeHeader(o) === normalizeHeader(value));
+      if (!option) {
+        warnings.push(`"${value}" is not an option of custom field "${field.name}"; it will be skipped`);
+        return;
+      }
+      values.push({ id: field.id, value: option });
+      return;
+    }
+    values.push({ id: field.id, value });
+  });
+  return { values, warnings };
+}
+
+// A task's value for a custom field; BugHerd returns them as a list or as { name: value }
+function getTaskCustomFieldValue(task, field) {
+  const taskFields = task.custom_fields;
+  if (Array.isArray(taskFields)) {
+    const entry = taskFields.find(f => String(f.id) === String(field.id) ||
+      normalizeHeader(f.name) === normalizeHeader(field.name));
+    return entry ? entry.value : '';
+  }
+  if (taskFields && typeof taskFields === 'object') {
+    const key = Object.keys(taskFields).find(k => normalizeHeader(k) === normalizeHeader(field.name) || k === String(field.id));
+    return key ? taskFields[key] : '';
+  }
+  return '';
+}
+
+// Stable identity for an imported row: the explicit external ID column if present,
+// otherwise a hash of the description, URL and environment
+function getBugFingerprint(bug) {
+  if (bug.external_id) return bug.external_id;
+
+  const source = [
+    bug.description,
+    bug.site,
+    bug.os,
+    bug.browser,
+    bug.browser_version,
+    bug.resolution,
+    bug.browser_size
+  ].map(value => String(value || '').trim().toLowerCase()).join('|');
+
+  return 'imp-' + crypto.createHash('sha1').update(source).digest('hex').slice(0, 16);
+}
+
+// Yield a project's tasks one page at a time
+async function* fetchTaskPages(projectId, params = {}) {
+  const perPage = 100; // BugHerd API max per_page is usually 100
+  let page = 1;
+  let hasMore = true;
+
+  while (hasMore) {
+    const response = await bugherdApi.get(`/projects/${projectId}/tasks.json`, {
+      params: { ...params, page, per_page: perPage },
+      timeout: 30000
+    });
+    const pageTasks = Array.isArray(response.data?.tasks) ? response.data.tasks : [];
+    yield pageTasks;
+    hasMore = pageTasks.length === perPage;
+    page++;
+  }
+}
+
+// Fetch every task in a project, page by page
+async function fetchProjectTasks(projectId) {
+  const tasks = [];
+  for await (const pageTasks of fetchTaskPages(projectId)) {
+    tasks.push(...pageTasks);
+  }
+  return tasks;
+}
+
+// Index a project's existing tasks by external ID for duplicate detection
+async function fetchExistingFingerprints(projectId) {
+  const existing = new Map();
+  const tasks = await fetchProjectTasks(projectId);
+  tasks.forEach(task => {
+    if (task.external_id) existing.set(String(task.external_id), task);
+  });
+  return existing;
+}
+
+// Look up the task an upsert row points at, by BugHerd ID or project-local task number
+async function fetchTaskByKey(projectId, bug) {
+  const url = bug.bugherd_id
+    ? `/projects/${projectId}/tasks/${bug.bugherd_id}.json`
+    : `/projects/${projectId}/local_tasks/${bug.local_task_id}.json`;
+
+  try {
+    const response = await bugherdApi.get(url);
+    return response.data.task || response.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new Error(bug.bugherd_id ? `Task ${bug.bugherd_id} not found` : `Task #${bug.local_task_id} not found`);
+    }
+    throw error;
+  }
+}
+
+// Desired task values for an upsert row; only columns that were filled in are compared
+function getUpsertFields(bug, { priorities, board } = {}) {
+  const fields = {};
+  if (bug.description) fields.description = bug.description;
+  if (bug.status) {
+    const { status } = resolveStatus(bug.status, board);
+    if (status) Object.assign(fields, getStatusFields(status));
+  }
+  if (bug.priority) {
+    const { priority } = resolvePriority(bug.priority, priorities);
+    if (priority) fields.priority = priority.name;
+  }
+  if (bug.tags) fields.tag_names = bug.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  return fields;
+}
+
+// Compare desired values against an existing task, returning { field: { from, to } }
+function getTaskChanges(task, desired) {
+  const changes = {};
+  const currentPriority = task.priority || (getTaskPriority(task) || {}).name || '';
+  const current = {
+    description: task.description || '',
+    status: task.status || '',
+    priority: currentPriority,
+    tag_names: Array.isArray(task.tag_names) ? task.tag_names : []
+  };
+
+  Object.entries(desired).forEach(([field, value]) => {
+    if (!(field in current) || value === undefined) return;
+
+    let same;
+    if (field === 'tag_names') {
+      const normalize = tags => tags.map(tag => String(tag).trim().toLowerCase()).sort().join(',');
+      same = normalize(current.tag_names) === normalize(value);
+    } else if (field === 'description') {
+      same = current.description.trim() === String(value).trim();
+    } else {
+      same = String(current[field]).toLowerCase() === String(value).toLowerCase();
+    }
+
+    if (!same) {
+      changes[field] = { from: current[field], to: value };
+    }
+  });
+
+  return changes;
+}
+
+// PUT only the fields that differ from the existing task
+async function updateTaskFields(projectId, task, desired) {
+  const changes = getTaskChanges(task, desired);
+  if (Object.keys(changes).length > 0) {
+    const update = Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to]));
+    // A new status is sent with its column ID, as on create
+    if (changes.status && desired.status_id !== undefined) update.status_id = desired.status_id;
+    await bugherdApi.put(`/projects/${projectId}/tasks/${task.id}.json`, { task: update });
+  }
+  return changes;
+}
+
+// Human readable summary of a field-level diff
+function describeChanges(changes) {
+  return Object.entries(changes).map(([field, { from, to }]) => {
+    if (field === 'description') return 'description changed';
+    const format = value => Array.isArray(value) ? (value.join(', ') || 'none') : (value || 'none');
+    return `${field.replace('_names', 's')} ${format(from)} → ${format(to)}`;
+  }).join(', ');
+}
+
+// Requester fields for a row: the matching member, else the raw email, else the importer
+function getRequesterFields(bug, directory) {
+  const value = bug.requester_email;
+  const { member } = value && directory ? resolveMember(value, directory) : {};
+  if (member) {
+    return { requester_email: member.email, requester_name: getMemberName(member) };
+  }
+  if (value && EMAIL_PATTERN.test(value)) {
+    return { requester_email: value };
+  }
+  return { requester_name: 'CSV Importer' };
+}
+
+// Build the BugHerd task payload for a mapped spreadsheet row, using the project's
+// priority vocabulary and task board, and resolving people against its member directory.
+// Unknown priorities and statuses are caught by validateBug; here they fall back to defaults.
+function buildBugData(bug, { directory, priorities, board, customFields } = {}) {
+  const priority = resolvePriority(bug.priority, priorities).priority || BUGHERD_PRIORITIES['not set'];
+  const status = resolveStatus(bug.status, board).status || resolveStatus('', board).status;
+
+  // Format the description with additional details
+  let description = bug.description || '';
+  const details = [];
+
+  // Add environment details
+  if (bug.os) details.push(`OS: ${bug.os}`);
+  if (bug.browser) details.push(`Browser: ${bug.browser} ${bug.browser_version || ''}`.trim());
+  if (bug.resolution) details.push(`Resolution: ${bug.resolution}`);
+  if (bug.browser_size) details.push(`Browser Window: ${bug.browser_size}`);
+
+  // Add URL at the bottom if available
+  const siteUrl = bug.site || '';
+  if (siteUrl) {
+    details.push(`URL: ${siteUrl}`);
+  }
+
+  if (details.length > 0) {
+    description += '\n\n' + details.join('\n');
+  }
+
+  const bugData = {
+    external_id: getBugFingerprint(bug),
+    description: description,
+    priority: priority.name,
+    priority_id: priority.id, // Add the mapped priority_id
+    ...getStatusFields(status),
+    tag_names: bug.tags ? bug.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+    ...getRequesterFields(bug, directory),
+    browser: bug.browser || '',
+    browser_version: '',
+    os: bug.os || '',
+    resolution: bug.resolution || '',
+    site_page: bug.site || ''
+  };
+
+  const assignee = bug.assignee && directory ? resolveMember(bug.assignee, directory).member : null;
+  if (assignee) {
+    bugData.assigned_to_id = assignee.id;
+  }
+
+  // Severity is always kept as a tag; it also fills a Severity custom field if the project has one
+  const severityTag = bug.severity && `severity:${bug.severity.toLowerCase().trim()}`;
+  if (severityTag && !bugData.tag_names.some(tag => tag.toLowerCase() === severityTag)) {
+    bugData.tag_names.push(severityTag);
+  }
+
+  const { values: customFieldValues } = resolveCustomFieldValues(bug, customFields);
+  if (customFieldValues.length > 0) {
+    bugData.custom_fields = customFieldValues;
+  }
+
+  return { bugData, priority };
+}
+
+// An attachment cell may list several URLs or file names
+function getAttachmentRefs(bug) {
+  return String(bug.attachments || '')
+    .split(/[\n,;|]+/)
+    .map(ref => ref.trim())
+    .filter(Boolean);
+}
+
+const isAttachmentUrl = (ref) => /^https?:\/\//i.test(ref);
+
+// Index the files in an uploaded attachments ZIP by lower-cased file name
+function readAttachmentZip(file) {
+  if (!file) return null;
+
+  try {
+    const files = new Map();
+    new AdmZip(file.path).getEntries().forEach(entry => {
+      const name = path.basename(entry.entryName);
+      // Skip folders and macOS resource forks (__MACOSX/._name)
+      if (entry.isDirectory || name.startsWith('._')) return;
+      files.set(name.toLowerCase(), { name, getData: () => entry.getData() });
+    });
+    return files;
+  } catch (error) {
+    throw new Error(`Could not read attachments ZIP: ${error.message}`);
+  }
+}
+
+// Look up a local file reference in the attachments ZIP; only the file name part is matched
+function findAttachmentFile(ref, attachmentFiles) {
+  if (!attachmentFiles) {
+    throw new Error('no attachments ZIP was uploaded');
+  }
+  const file = attachmentFiles.get(path.basename(ref.replace(/\\/g, '/')).toLowerCase());
+  if (!file) {
+    throw new Error('not found in the attachments ZIP');
+  }
+  return file;
+}
+
+// Attach each file or URL listed on the row to a created task.
+// Failures are reported per attachment and never undo the task itself.
+async function uploadTaskAttachments(projectId, taskId, bug, attachmentFiles) {
+  const results = [];
+  for (const ref of getAttachmentRefs(bug)) {
+    try {
+      if (isAttachmentUrl(ref)) {
+        const fileName = decodeURIComponent(path.basename(new URL(ref).pathname)) || 'screenshot';
+        await bugherdApi.post(`/projects/${projectId}/tasks/${taskId}/attachments.json`, {
+          attachment: { file_name: fileName, url: ref }
+        });
+      } else {
+        const file = findAttachmentFile(ref, attachmentFiles);
+        await bugherdApi.post(`/projects/${projectId}/tasks/${taskId}/attachments/upload`, file.getData(), {
+          params: { file_name: file.name },
+          headers: { 'Content-Type': 'application/binary' }
+        });
+      }
+      results.push({ name: ref, status: 'success' });
+    } catch (error) {
+      results.push({ name: ref, status: 'error', error: error.message });
+    }
+  }
+  return results;
+}
+
+// Comments can also come from a secondary workbook sheet, one comment per row keyed by row ID
+const COMMENTS_SHEET_NAME = 'Comments';
+const COMMENT_SHEET_FIELDS = {
+  rowId: ['row id', 'id', 'bug id', 'bugid', 'issue id', 'ref', 'reference'],
+  author: ['author', 'user', 'by', 'from', 'commenter', 'posted by', 'name'],
+  date: ['date', 'timestamp', 'time', 'created', 'created at', 'posted at'],
+  text: ['comment', 'comments', 'text', 'body', 'message', 'note']
+};
+
+// Read the comments sheet of a workbook, if it has one, grouped by row ID
+function readCommentsSheet(filePath, sheetName) {
+  const workbook = xlsx.readFile(filePath, { sheets: [sheetName], cellDates: true });
+  const sheetKey = workbook.SheetNames.find(name => name.toLowerCase() === sheetName.toLowerCase());
+  const comments = new Map();
+  if (!sheetKey || !workbook.Sheets[sheetKey]) return comments;
+
+  const rows = xlsx.utils.sheet_to_json(workbook.Sheets[sheetKey]);
+  const headers = getRowHeaders(rows);
+  const columns = {};
+  Object.entries(COMMENT_SHEET_FIELDS).forEach(([field, aliases]) => {
+    columns[field] = headers.find(header => aliases.includes(normalizeHeader(header)));
+  });
+  if (!columns.rowId || !columns.text) {
+    throw new Error(`The "${sheetKey}" sheet needs a row ID and a comment column`);
+  }
+
+  // Excel dates come back as Date objects; show them as "YYYY-MM-DD HH:mm"
+  const cellText = (value) => value instanceof Date
+    ? value.toISOString().slice(0, 16).replace('T', ' ')
+    : String(value === undefined || value === null ? '' : value).trim();
+
+  rows.forEach(row => {
+    const rowId = cellText(row[columns.rowId]);
+    const text = cellText(row[columns.text]);
+    if (!rowId || !text) return;
+    if (!comments.has(rowId)) comments.set(rowId, []);
+    comments.get(rowId).push({
+      author: columns.author ? cellText(row[columns.author]) : '',
+      date: columns.date ? cellText(row[columns.date]) : '',
+      text
+    });
+  });
+  return comments;
+}
+
+// A comments cell holds one or more comments separated by "||",
+// each optionally starting with "[timestamp] Author:"
+function parseCommentsCell(value) {
+  return String(value || '')
+    .split('||')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const match = part.match(/^\[([^\]]+)\]\s*([^:\n]+):\s*([\s\S]+)$/);
+      return match
+        ? { date: match[1].trim(), author: match[2].trim(), text: match[3].trim() }
+        : { author: '', date: '', text: part };
+    });
+}
+
+// BugHerd posts comments as the API user, so the original author and time go in the text
+function formatImportedComment(comment) {
+  const origin = [
+    comment.author && `by ${comment.author}`,
+    comment.date && `on ${comment.date}`
+  ].filter(Boolean).join(' ');
+  return origin ? `[Originally posted ${origin}]\n\n${comment.text}` : comment.text;
+}
+
+// Post a created task's comment thread in order; failures are reported per comment
+async function postTaskComments(projectId, taskId, comments) {
+  const results = [];
+  for (const comment of comments) {
+    try {
+      await bugherdApi.post(`/projects/${projectId}/tasks/${taskId}/comments.json`, {
+        comment: { text: formatImportedComment(comment) }
+      });
+      results.push({ author: comment.author, date: comment.date, status: 'success' });
+    } catch (error) {
+      results.push({ author: comment.author, date: comment.date, status: 'error', error: error.message });
+    }
+  }
+  return results;
+}
+
+// Check a mapped row before it is sent to BugHerd.
+// Errors block the row from being imported, warnings are informational.
+function validateBug(bug, options = {}) {
+  const errors = [];
+  const warnings = [];
+
+  // Upsert rows that point at an existing task only need the columns being changed
+  const isUpdate = options.importMode === 'upsert' && (bug.bugherd_id || bug.local_task_id);
+
+  if (bug.bugherd_id && !/^\d+$/.test(bug.bugherd_id)) {
+    errors.push(`Invalid BugHerd ID "${bug.bugherd_id}"`);
+  }
+  if (bug.local_task_id && !/^#?\d+$/.test(bug.local_task_id)) {
+    errors.push(`Invalid task number "${bug.local_task_id}"`);
+  }
+
+  // An upsert row keyed by a column that wasn't mapped must not quietly become a new task
+  if (options.importMode === 'upsert' && !isUpdate && bug.unmappedKey) {
+    errors.push(`Column "${bug.unmappedKey}" looks like a task key but isn't mapped; map it to BugHerd ID or Task # to update the task`);
+  }
+
+  if (!bug.description && !isUpdate) {
+    errors.push('Missing description');
+  }
+
+  // Custom field values that can't be sent are skipped, not fatal
+  if (bug.custom_fields || bug.severity) {
+    warnings.push(...resolveCustomFieldValues(bug, options.customFields).warnings);
+  }
+
+  // Unmapped priorities are reported so they can be added to the project's vocabulary
+  const { error: priorityError } = resolvePriority(bug.priority, options.priorities);
+  if (priorityError) {
+    errors.push(`${priorityError}; add it to the priority vocabulary`);
+  }
+
+  // Statuses must land in a real column; loose matches are pointed out
+  if (bug.status) {
+    const { status, match, error } = resolveStatus(bug.status, options.board);
+    if (error) {
+      errors.push(`${error}; map it to a column`);
+    } else if (match === 'partial') {
+      warnings.push(`Status "${bug.status}" will go to the "${status.name}" column`);
+    }
+  }
+
+  // People are matched against the project's members; anyone unknown is flagged and skipped.
+  // A malformed email is a mistake in the file rather than a name, so it rejects the row.
+  const { directory } = options;
+  const isMalformedEmail = value => value.includes('@') && !EMAIL_PATTERN.test(value);
+  if (bug.requester_email) {
+    const { member, error } = directory ? resolveMember(bug.requester_email, directory) : {};
+    if (!member && isMalformedEmail(bug.requester_email)) {
+      errors.push(`Invalid requester email "${bug.requester_email}"`);
+    } else if (!directory && !EMAIL_PATTERN.test(bug.requester_email)) {
+      warnings.push(`Requester "${bug.requester_email}" could not be checked against project members`);
+    } else if (error) {
+      warnings.push(EMAIL_PATTERN.test(bug.requester_email)
+        ? `Requester ${error}`
+        : `Requester ${error}; "CSV Importer" will be used instead`);
+    }
+  }
+  if (bug.assignee) {
+    const { member, error } = directory ? resolveMember(bug.assignee, directory) : {};
+    if (!member && isMalformedEmail(bug.assignee)) {
+      errors.push(`Invalid assignee email "${bug.assignee}"`);
+    } else if (!directory) {
+      warnings.push(`Assignee "${bug.assignee}" could not be checked against project members`);
+    } else if (error) {
+      warnings.push(`Assignee ${error}; the task will be left unassigned`);
+    }
+  }
+
+  if (bug.site) {
+    try {
+      const url = new URL(bug.site.match(/^https?:\/\//i) ? bug.site : `https://${bug.site}`);
+      if (!url.hostname.includes('.') && url.hostname !== 'localhost') {
+        throw new Error('Invalid hostname');
+      }
+    } catch (e) {
+      warnings.push(`Unparseable URL "${bug.site}"`);
+    }
+  }
+
+  // Missing attachments don't stop the task being created, so they are only warnings
+  getAttachmentRefs(bug).forEach(ref => {
+    if (isAttachmentUrl(ref)) return;
+    try {
+      findAttachmentFile(ref, options.attachmentFiles);
+    } catch (error) {
+      warnings.push(`Attachment "${ref}": ${error.message}`);
+    }
+  });
+
+  return { errors, warnings };
+}
+
+// Parse an uploaded import file into sheets of raw rows and mapped bugs.
+// Each sheet is imported into its own project, falling back to the request's projectId.
+// Custom fields, when given, are offered to the auto-suggested mapping.
+async function readImportFile(file, body, customFields) {
+  const selection = parseSheetSelection(body);
+  const sheets = await parseImportFile(file.path, file.originalname, selection && selection.map(sheet => sheet.name));
+  const isWorkbook = sheets.some(sheet => sheet.name !== null);
+  const sheetComments = isWorkbook
+    ? readCommentsSheet(file.path, body.commentsSheet || COMMENTS_SHEET_NAME)
+    : new Map();
+
+  return sheets.map(sheet => {
+    const selected = selection && selection.find(s => s.name === sheet.name);
+    const headers = getRowHeaders(sheet.rows);
+    const mapping = resolveImportMapping(body, headers, customFields);
+    return {
+      name: sheet.name,
+      projectId: (selected && selected.projectId) || body.projectId,
+      headers,
+      rows: sheet.rows,
+      bugs: sheet.rows.map(row => {
+        const bug = applyColumnMapping(row, mapping);
+        const unmappedKey = findUnmappedTaskKey(row, mapping);
+        if (unmappedKey) bug.unmappedKey = unmappedKey;
+        // The thread to post once the task exists: the comments column first, then the comments sheet
+        bug.commentThread = [
+          ...parseCommentsCell(bug.comments),
+          ...((bug.id && sheetComments.get(bug.id)) || [])
+        ];
+        return bug;
+      })
+    };
+  });
+}
+
+// List the sheets of an uploaded workbook so the user can pick which to import
+app.post('/api/upload/sheets', upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'No file uploaded' });
+  }
+
+  try {
+    const fileExt = path.extname(req.file.originalname).toLowerCase();
+    if (!['.xlsx', '.xls'].includes(fileExt)) {
+      return res.json({ success: true, sheets: [] });
+    }
+
+    const workbook = xlsx.readFile(req.file.path);
+    const commentsSheet = (req.body.commentsSheet || COMMENTS_SHEET_NAME).toLowerCase();
+    const sheets = workbook.SheetNames.map(name => {
+      const rows = xlsx.utils.sheet_to_json(workbook.Sheets[name]);
+      return {
+        name,
+        rowCount: rows.length,
+        headers: getRowHeaders(rows),
+        // The comments sheet feeds other sheets' tasks rather than being imported itself
+        role: name.toLowerCase() === commentsSheet ? 'comments' : 'tasks'
+      };
+    });
+    res.json({ success: true, sheets });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  } finally {
+    if (fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  }
+});
+
+// What rows are validated and built against in each target project: its members, task board,
+// priority vocabulary and custom fields. Preview and import share it so they check rows alike.
+async function loadImportContexts(projectIds, customFieldsByProject) {
+  const contexts = new Map();
+  for (const projectId of new Set(projectIds)) {
+    contexts.set(projectId, {
+      projectId,
+      directory: projectId ? await loadMemberDirectory(projectId) : null,
+      board: projectId ? await loadStatusBoard(projectId) : null,
+      priorities: getProjectPriorities(projectId),
+      customFields: customFieldsByProject.get(projectId) || null
+    });
+  }
+  return contexts;
+}
+
+// Dry run: build every payload and validate it without creating anything in BugHerd
+app.post('/api/upload/preview', importUpload, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  const importMode = req.body.importMode || 'create';
+  let sheets;
+  let attachmentFiles;
+  // Custom fields are loaded once per project, for the mapping and for validation
+  let customFieldsByProject;
+  try {
+    attachmentFiles = readAttachmentZip(req.attachmentsFile);
+    customFieldsByProject = await loadCustomFieldsByProject(getRequestProjectIds(req.body));
+    sheets = await readImportFile(req.file, req.body, mergeCustomFields(customFieldsByProject));
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  // Resolve people and statuses against each target project's members and columns
+  const contexts = await loadImportContexts(sheets.map(sheet => sheet.projectId), customFieldsByProject);
+  const statusValues = new Map();
+
+  const seenFingerprints = new Map();
+  const items = sheets.flatMap(sheet => sheet.bugs.map((bug, index) => ({ sheet, bug, index })));
+  const rows = items.map(({ sheet, bug, index }) => {
+    const context = { ...contexts.get(sheet.projectId), importMode, attachmentFiles };
+    const { board } = context;
+    const { bugData } = buildBugData(bug, context);
+
+    // Each distinct status value is listed once per project for the status mapping step
+    if (bug.status && sheet.projectId) {
+      const key = `${sheet.projectId}:${normalizeStatus(bug.status)}`;
+      if (!statusValues.has(key)) {
+        const { status, match, candidates } = resolveStatus(bug.status, board);
+        statusValues.set(key, {
+          projectId: sheet.projectId,
+          value: bug.status,
+          match,
+          status: status ? status.name : null,
+          candidates: (candidates || []).map(column => column.name)
+        });
+      }
+    }
+    const isUpdate = importMode === 'upsert' && (bug.bugherd_id || bug.local_task_id);
+    const row = {
+      row: index + 2, // Spreadsheet row number, after the header row
+      ...(sheet.name && { sheet: sheet.name }),
+      id: bug.id,
+      action: isUpdate ? 'update' : 'create',
+      fingerprint: bugData.external_id,
+      payload: isUpdate ? getUpsertFields(bug, context) : bugData,
+      ...(!isUpdate && bug.commentThread.length > 0 && { commentCount: bug.commentThread.length }),
+      ...validateBug(bug, context)
+    };
+
+    if (isUpdate) {
+      return row;
+    }
+    const rowRef = sheet.name ? `${sheet.name} row ${row.row}` : `row ${row.row}`;
+    if (seenFingerprints.has(row.fingerprint)) {
+      row.warnings.push(`Duplicate of ${seenFingerprints.get(row.fingerprint)} in this file`);
+    } else {
+      seenFingerprints.set(row.fingerprint, rowRef);
+    }
+    return row;
+  });
+
+  res.json({
+    success: true,
+    total: rows.length,
+    valid: rows.filter(row => row.errors.length === 0).length,
+    errorCount: rows.reduce((sum, row) => sum + row.errors.length, 0),
+    warningCount: rows.reduce((sum, row) => sum + row.warnings.length, 0),
+    statuses: [...statusValues.values()],
+    columns: Object.fromEntries([...contexts].map(([projectId, { board }]) => [projectId, board ? board.columns : null])),
+    rows
+  });
+});
+
+// Import a single mapped row and describe what happened to it
+async function importBugRow(bug, row, context) {
+  const { projectId, importMode, duplicateAction, existing } = context;
+
+  // Rows that failed validation are reported instead of being sent, checked as in the preview
+  const { errors } = validateBug(bug, context);
+  if (errors.length > 0) {
+    return {
+      row,
+      id: bug.id,
+      status: 'error',
+      error: errors.join('; ')
+    };
+  }
+
+  try {
+    if (importMode === 'upsert' && (bug.bugherd_id || bug.local_task_id)) {
+      const task = await fetchTaskByKey(projectId, {
+        ...bug,
+        local_task_id: bug.local_task_id && bug.local_task_id.replace(/^#/, '')
+      });
+      const changes = await updateTaskFields(projectId, task, getUpsertFields(bug, context));
+      const hasChanges = Object.keys(changes).length > 0;
+      return {
+        row,
+        id: bug.id,
+        status: hasChanges ? 'updated' : 'unchanged',
+        bugherdId: task.id,
+        changes,
+        message: hasChanges
+          ? `updated #${task.local_task_id || task.id}: ${describeChanges(changes)}`
+          : `#${task.local_task_id || task.id} unchanged`
+      };
+    }
+
+    const { bugData, priority } = buildBugData(bug, context);
+    const fingerprint = String(bugData.external_id);
+
+    // With parallel workers, wait for an identical row that is still being created
+    if (context.pendingCreates.has(fingerprint)) {
+      await context.pendingCreates.get(fingerprint);
+    }
+    const duplicate = existing.get(fingerprint);
+    const duplicateRef = duplicate ? `#${duplicate.local_task_id || duplicate.id}` : '';
+
+    if (duplicate && duplicateAction === 'skip') {
+      return {
+        row,
+        id: bug.id,
+        status: 'skipped',
+        bugherdId: duplicate.id,
+        duplicateOf: duplicate.local_task_id || duplicate.id,
+        message: `skipped (duplicate of ${duplicateRef})`
+      };
+    }
+
+    if (duplicate && duplicateAction === 'update') {
+      const changes = await updateTaskFields(projectId, duplicate, {
+        description: bugData.description,
+        priority: bugData.priority,
+        status: bugData.status,
+        status_id: bugData.status_id,
+        tag_names: bugData.tag_names
+      });
+      const hasChanges = Object.keys(changes).length > 0;
+      return {
+        row,
+        id: bug.id,
+        status: hasChanges ? 'updated' : 'unchanged',
+        bugherdId: duplicate.id,
+        duplicateOf: duplicate.local_task_id || duplicate.id,
+        changes,
+        message: hasChanges
+          ? `updated (duplicate of ${duplicateRef}): ${describeChanges(changes)}`
+          : `unchanged (duplicate of ${duplicateRef})`
+      };
+    }
+
+    if (duplicate) {
+      // Flag: create anyway, but tag it so it can be reviewed in BugHerd
+      bugData.tag_names.push('possible-duplicate');
+    }
+
+    // Create bug in BugHerd
+    const creation = bugherdApi.post(
+      `/projects/${projectId}/tasks.json`,
+      { task: bugData }
+    );
+    context.pendingCreates.set(fingerprint, creation.catch(() => null));
+    let created;
+    try {
+      const response = await creation;
+      created = response.data.task || response.data;
+    } finally {
+      context.pendingCreates.delete(fingerprint);
+    }
+
+    // Update priority separately only if BugHerd did not take it from the create call
+    const createdPriorityId = created.priority_id !== undefined ? Number(created.priority_id) : null;
+    if (priority && priority.id !== 0 && createdPriorityId !== priority.id && created.priority !== priority.name) {
+      try {
+        await updateTaskPriority(
+          projectId,
+          created.id,
+          priority
+        );
+      } catch (error) {
+        // Error updating priority (non-critical)
+        // Continue even if priority update fails
+      }
+    }
+
+    existing.set(fingerprint, created);
+
+    const attachments = await uploadTaskAttachments(projectId, created.id, bug, context.attachmentFiles);
+    const comments = await postTaskComments(projectId, created.id, bug.commentThread || []);
+
+    return {
+      row,
+      id: bug.id,
+      status: 'success',
+      bugherdId: created.id,
+      localTaskId: created.local_task_id,
+      url: created.url,
+      ...(attachments.length > 0 && { attachments }),
+      ...(comments.length > 0 && { comments }),
+      ...(duplicate && {
+        duplicateOf: duplicate.local_task_id || duplicate.id,
+        message: `created, flagged as possible duplicate of ${duplicateRef}`
+      })
+    };
+  } catch (error) {
+    // Error creating bug
+    return {
+      row,
+      id: bug.id,
+      status: 'error',
+      error: error.message
+    };
+  }
+}
+
+// Every import that created tasks is recorded as a batch so it can be rolled back later
+const IMPORT_BATCHES_FILE = 'import-batches.json';
+
+function getImportBatches() {
+  return readDataFile(IMPORT_BATCHES_FILE, []);
+}
+
+function recordImportBatch(job) {
+  const createdTasks = job.results
+    .filter(result => result.status === 'success' && result.bugherdId)
+    .map(result => ({
+      bugherdId: result.bugherdId,
+      localTaskId: result.localTaskId,
+      projectId: result.projectId,
+      ...(result.sheet && { sheet: result.sheet }),
+      row: result.row
+    }));
+  if (createdTasks.length === 0) return null;
+
+  const batches = getImportBatches();
+  batches.push({
+    id: job.id,
+    projectId: job.projectId,
+    fileName: job.fileName,
+    status: job.status,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    createdTasks,
+    rollback: null
+  });
+  writeDataFile(IMPORT_BATCHES_FILE, batches);
+  return job.id;
+}
+
+// Import jobs run in the background and are kept in memory for an hour after they finish
+const importJobs = new Map();
+const IMPORT_JOB_TTL = 60 * 60 * 1000;
+const IMPORT_CONCURRENCY = parseInt(process.env.IMPORT_CONCURRENCY || '4', 10);
+
+function createImportJob(sheets, fileName) {
+  const job = {
+    id: crypto.randomUUID(),
+    projectId: sheets[0].projectId,
+    fileName,
+    status: 'queued', // queued -> running -> completed | cancelled | failed
+    sheets: sheets.map(sheet => ({
+      name: sheet.name,
+      projectId: sheet.projectId,
+      total: sheet.bugs.length,
+      processed: 0,
+      succeeded: 0,
+      failed: 0,
+      skipped: 0,
+      attachmentsUploaded: 0,
+      attachmentsFailed: 0,
+      commentsPosted: 0,
+      commentsFailed: 0
+    })),
+    total: sheets.reduce((sum, sheet) => sum + sheet.bugs.length, 0),
+    processed: 0,
+    succeeded: 0,
+    failed: 0,
+    skipped: 0,
+    attachmentsUploaded: 0,
+    attachmentsFailed: 0,
+    commentsPosted: 0,
+    commentsFailed: 0,
+    results: [],
+    error: null,
+    cancelRequested: false,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    listeners: new Set()
+  };
+  importJobs.set(job.id, job);
+  return job;
+}
+
+// Everything about a job that is safe to send to the client
+function getJobSummary(job, includeResults = true) {
+  const { listeners, cancelRequested, source, results, ...summary } = job;
+  return includeResults ? { ...summary, results } : summary;
+}
+
+// Push a Server-Sent Event to everyone watching the job
+function emitJobEvent(job, event, data) {
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  job.listeners.forEach(res => res.write(message));
+}
+
+function finishImportJob(job, status) {
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  // A batch that can't be saved only loses the undo; listeners still hear that the job is done
+  try {
+    job.batchId = recordImportBatch(job);
+  } catch (error) {
+    console.error(`Could not record import batch for job ${job.id}:`, error.message);
+    job.batchId = null;
+  }
+  emitJobEvent(job, 'done', getJobSummary(job));
+  job.listeners.forEach(res => res.end());
+  job.listeners.clear();
+
+  setTimeout(() => importJobs.delete(job.id), IMPORT_JOB_TTL).unref();
+}
+
+// Add a row result to the running totals of a job or sheet
+function countImportResult(counts, result) {
+  counts.processed++;
+  if (result.status === 'error') {
+    counts.failed++;
+  } else if (result.status === 'skipped') {
+    counts.skipped++;
+  } else {
+    counts.succeeded++;
+  }
+  (result.attachments || []).forEach(attachment => {
+    if (attachment.status === 'success') {
+      counts.attachmentsUploaded++;
+    } else {
+      counts.attachmentsFailed++;
+    }
+  });
+  (result.comments || []).forEach(comment => {
+    if (comment.status === 'success') {
+      counts.commentsPosted++;
+    } else {
+      counts.commentsFailed++;
+    }
+  });
+}
+
+async function runImportJob(job, sheets, options, customFieldsByProject) {
+  job.status = 'running';
+  emitJobEvent(job, 'status', getJobSummary(job, false));
+
+  // Finishing records the batch and ends the event streams, so it happens once, outside the try
+  let status;
+  try {
+    // Look up tasks from earlier imports so re-uploading a file does not create them again,
+    // once per target project
+    const contexts = await loadImportContexts(sheets.map(sheet => sheet.projectId), customFieldsByProject);
+    for (const [projectId, context] of contexts) {
+      Object.assign(context, options, {
+        existing: await fetchExistingFingerprints(projectId),
+        pendingCreates: new Map()
+      });
+    }
+
+    const items = sheets.flatMap((sheet, sheetIndex) =>
+      sheet.bugs.map((bug, index) => ({ bug, row: index + 2, sheetIndex }))
+    );
+
+    await runWithConcurrency(items, options.concurrency, async ({ bug, row, sheetIndex }) => {
+      const sheet = job.sheets[sheetIndex];
+      const result = await importBugRow(bug, row, contexts.get(sheet.projectId));
+      if (sheet.name) result.sheet = sheet.name;
+      result.projectId = sheet.projectId;
+
+      job.results.push(result);
+      countImportResult(job, result);
+      countImportResult(sheet, result);
+
+      emitJobEvent(job, 'progress', {
+        processed: job.processed,
+        succeeded: job.succeeded,
+        failed: job.failed,
+        skipped: job.skipped,
+        attachmentsUploaded: job.attachmentsUploaded,
+        attachmentsFailed: job.attachmentsFailed,
+        commentsPosted: job.commentsPosted,
+        commentsFailed: job.commentsFailed,
+        total: job.total,
+        sheets: job.sheets,
+        result
+      });
+    }, () => job.cancelRequested);
+
+    // Workers finish out of order; keep results in sheet and spreadsheet order
+    const sheetOrder = name => job.sheets.findIndex(sheet => sheet.name === (name || null));
+    job.results.sort((a, b) => (sheetOrder(a.sheet) - sheetOrder(b.sheet)) || (a.row - b.row));
+    status = job.cancelRequested ? 'cancelled' : 'completed';
+  } catch (error) {
+    job.error = error.response?.data?.message || error.message;
+    status = 'failed';
+  }
+  finishImportJob(job, status);
+}
+
+// Upload a file and start a background import job
+app.post('/api/upload', importUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    // What to do with rows that already exist in the project: skip, update or flag
+    const duplicateAction = req.body.duplicateAction || 'skip';
+    if (!['skip', 'update', 'flag'].includes(duplicateAction)) {
+      return res.status(400).json({ error: 'duplicateAction must be one of skip, update or flag' });
+    }
+
+    // Upsert mode updates rows keyed on a BugHerd ID or Task # column instead of creating them
+    const importMode = req.body.importMode || 'create';
+    if (!['create', 'upsert'].includes(importMode)) {
+      return res.status(400).json({ error: 'importMode must be either create or upsert' });
+    }
+
+    // Parse the uploaded file and map its columns to BugHerd fields
+    let sheets;
+    let attachmentFiles;
+    // Custom fields are loaded once per project, for the mapping and for the import itself
+    let customFieldsByProject;
+    try {
+      attachmentFiles = readAttachmentZip(req.attachmentsFile);
+      customFieldsByProject = await loadCustomFieldsByProject(getRequestProjectIds(req.body));
+      sheets = await readImportFile(req.file, req.body, mergeCustomFields(customFieldsByProject));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (sheets.some(sheet => !sheet.projectId)) {
+      return res.status(400).json({ error: 'Project ID is required' });
+    }
+
+    // How many rows are sent to BugHerd in parallel
+    const concurrency = parseInt(req.body.concurrency || IMPORT_CONCURRENCY, 10);
+    if (!(concurrency >= 1 && concurrency <= 10)) {
+      return res.status(400).json({ error: 'concurrency must be between 1 and 10' });
+    }
+
+    const job = createImportJob(sheets, req.file.originalname);
+    // Keep the original columns so failed rows can be downloaded and re-uploaded
+    job.source = sheets.map(({ name, headers, rows }) => ({ name, headers, rows }));
+    // The job runs in the background; a failure to finish it is logged rather than left unhandled
+    runImportJob(job, sheets, { importMode, duplicateAction, concurrency, attachmentFiles }, customFieldsByProject)
+      .catch(error => console.error(`Import job ${job.id} could not be finished:`, error.message));
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      total: job.total,
+      sheets: job.sheets
+    });
+  } catch (error) {
+    handleApiError(error, res);
+  }
+});
+
+// The feedback/taskBoard/archive toggles that pick which tasks a report or export starts from
+const TASK_SCOPES = ['feedback', 'taskBoard', 'archive'];
+
+const getTaskScope = (filters = {}) =>
+  Object.fromEntries(TASK_SCOPES.filter(name => filters[name] !== undefined).map(name => [name, filters[name]]));
+
+// Predicate for the structured filters of a project, or null when none are set.
+// People are matched through the member directory and statuses through the board's columns.
+async function loadTaskMatcher(projectId, criteria) {
+  if (!hasTaskFilters(criteria)) return null;
+  const directory = criteria.assignees || criteria.requesters ? await loadMemberDirectory(projectId) : null;
+  const board = criteria.statuses ? await loadStatusBoard(projectId) : null;
+  return createTaskMatcher(criteria, {
+    resolveMember: value => (directory && resolveMember(value, directory).member) || null,
+    columns: board ? board.columns : []
+  });
+}
+
+// Generate brand report (GET endpoint)
+app.get('/api/generate-brand-report', async (req, res) => {
+  try {
+    const { projectId, includeComments, ...filters } = req.query;
+    
+    if (!projectId) {
+      return res.status(400).json({ error: 'Project ID is required' });
+    }
+
+    let criteria;
+    try {
+      criteria = parseTaskFilters(filters, getProjectPriorities(projectId));
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid filters: ${error.message}` });
+    }
+
+    console.log('Generating brand report for project:', projectId);
+    console.log('Using filters:', filters);
+    
+    // First fetch the project data
+    const project = await brandReportGenerator.fetchProject(projectId);
+    console.log('Fetched project data:', JSON.stringify(project, null, 2));
+    
+    // Then generate the report with the project data
+    let html = await brandReportGenerator.generateReport(projectId, getTaskScope(filters), {
+      taskFilter: await loadTaskMatcher(projectId, criteria),
+      attachComments: includeComments === 'true' ? tasks => attachTaskComments(projectId, tasks) : null
+    });
+    
+    // Debug: Check if siteDisplay was replaced
+    if (html.includes('{{siteDisplay}}')) {
+        console.warn('Warning: siteDisplay placeholder was not replaced in the template');
+        // Try to get the site URL from the project data
+        if (project && project.site && project.site.url) {
+            console.log('Found site URL in project data, forcing replacement');
+            const siteDisplay = project.site.url.replace(/^https?:\/\//, '').replace(/^www\./, '');
+            html = html.replace('{{siteDisplay}}', siteDisplay);
+        }
+    }
+    
+    res.set('Content-Type', 'text/html');
+    res.send(html);
+  } catch (error) {
+    console.error('Error generating brand report:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate brand report',
+      details: error.message 
+    });
+  }
+});
+
+// Generate HTML report
+app.post('/api/generate-html-report', async (req, res) => {
+  try {
+    const { projectId, filters = {}, includeComments } = req.body;
+    
+    if (!projectId) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Project ID is required' 
+      });
+    }
+
+    const priorities = getProjectPriorities(projectId);
+    let criteria;
+    try {
+      criteria = parseTaskFilters(filters, priorities);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: `Invalid filters: ${error.message}` });
+    }
+
+    console.log(`Generating HTML report for project ${projectId} with filters:`, filters);
+    
+    try {
+      // Generate the report with filters and get the HTML content directly
+      const reportHtml = await reportGenerator.generateReport(projectId, getTaskScope(filters), {
+        priorities,
+        taskFilter: await loadTaskMatcher(projectId, criteria),
+        attachComments: includeComments ? tasks => attachTaskComments(projectId, tasks) : null
+      });
+      
+      // Send the HTML content
+      res.setHeader('Content-Type', 'text/html');
+      return res.send(reportHtml);
+    } catch (genError) {
+      console.error('Error in report generation:', genError);
+      throw new Error(`Failed to generate report: ${genError.message}`);
+    }
+    
+  } catch (error) {
+    console.error('Error in HTML report endpoint:', error);
+    
+    // Send error response as HTML
+    const errorHtml = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+          <title>Error Generating Report</title>
+          <style>
+              body { font-family: Arial, sans-serif; padding: 40px; text-align: center; }
+              .error-container { max-width: 600px; margin: 0 auto; }
+              h1 { color: #dc3545; }
+              pre { 
+                  background: #f8f9fa; 
+                  padding: 20px; 
+                  border-radius: 5px; 
+                  text-align: left;
+                  white-space: pre-wrap;
+                  word-wrap: break-word;
+              }
+          </style>
+      </head>
+      <body>
+          <div class="error-container">
+              <h1>Error Generating Report</h1>
+              <p>An error occurred while generating the HTML report:</p>
+              <pre>${error.message || 'Unknown error'}</pre>
+              <p>Please try again or contact support if the issue persists.</p>
+          </div>
+      </body>
+      </html>
+    `;
+    
+    res.status(500).send(errorHtml);
+  }
+});
+
+// Get the current state of an import job, including per-row results
+app.get('/api/import-jobs/:jobId', (req, res) => {
+  const job = importJobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Import job not found' });
+  }
+  res.json({ success: true, job: getJobSummary(job) });
+});
+
+// Stream import progress as Server-Sent Events
+app.get('/api/import-jobs/:jobId/events', (req, res) => {
+  const job = importJobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Import job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  // Send the current state first so a reattaching client can catch up
+  res.write(`event: snapshot\ndata: ${JSON.stringify(getJobSummary(job))}\n\n`);
+
+  if (job.finishedAt) {
+    res.write(`event: done\ndata: ${JSON.stringify(getJobSummary(job))}\n\n`);
+    return res.end();
+  }
+
+  job.listeners.add(res);
+  req.on('close', () => job.listeners.delete(res));
+});
+
+// Download the failed rows of an import, with their original columns plus the reason they failed
+app.get('/api/import-jobs/:jobId/failed-rows', (req, res) => {
+  const job = importJobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Import job not found' });
+  }
+
+  const format = (req.query.format || 'csv').toLowerCase();
+  if (!['csv', 'xlsx'].includes(format)) {
+    return res.status(400).json({ success: false, error: 'Format must be either csv or xlsx' });
+  }
+
+  // Group failures by the sheet they came from, keeping each sheet's original columns
+  const failedSheets = job.source.map(source => ({
+    name: source.name,
+    headers: source.headers,
+    rows: job.results
+      .filter(result => result.status === 'error' && (result.sheet || null) === source.name)
+      .map(result => ({
+        ...source.rows[result.row - 2],
+        'Error Reason': result.error
+      }))
+  })).filter(sheet => sheet.rows.length > 0);
+
+  if (failedSheets.length === 0) {
+    return res.status(404).json({ success: false, error: 'This import has no failed rows' });
+  }
+
+  const baseName = path.basename(job.fileName || 'import', path.extname(job.fileName || ''));
+  const fileName = `${baseName}-failed-rows.${format}`;
+
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName.replace(/"/g, '')}"`);
+  if (format === 'csv') {
+    // A CSV has no tabs, so rows from several sheets get a Sheet column instead
+    const multiSheet = failedSheets.length > 1;
+    const headers = getRowHeaders(failedSheets.map(sheet =>
+      Object.fromEntries(sheet.headers.map(header => [header, '']))
+    ));
+    const rows = failedSheets.flatMap(sheet =>
+      sheet.rows.map(row => multiSheet ? { Sheet: sheet.name, ...row } : row)
+    );
+    const sheet = xlsx.utils.json_to_sheet(rows, {
+      header: [...(multiSheet ? ['Sheet'] : []), ...headers, 'Error Reason']
+    });
+    res.setHeader('Content-Type', 'text/csv');
+    return res.send(xlsx.utils.sheet_to_csv(sheet));
+  }
+
+  // Sheets keep their original names so the workbook can be fixed and re-uploaded as is
+  const workbook = xlsx.utils.book_new();
+  failedSheets.forEach(failed => {
+    const sheet = xlsx.utils.json_to_sheet(failed.rows, {
+      header: [...failed.headers, 'Error Reason']
+    });
+    xlsx.utils.book_append_sheet(workbook, sheet, failed.name || 'Failed Rows');
+  });
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.send(xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+});
+
+// Ask a running import job to stop after the row it is working on
+app.post('/api/import-jobs/:jobId/cancel', (req, res) => {
+  const job = importJobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Import job not found' });
+  }
+  if (job.finishedAt) {
+    return res.status(409).json({ success: false, error: `Import job already ${job.status}` });
+  }
+
+  job.cancelRequested = true;
+  emitJobEvent(job, 'status', { ...getJobSummary(job, false), status: 'cancelling' });
+  res.json({ success: true, job: getJobSummary(job, false) });
+});
+
+// List recorded import batches, newest first
+app.get('/api/import-batches', (req, res) => {
+  const batches = getImportBatches()
+    .filter(batch => !req.query.projectId || [batch.projectId, ...batch.createdTasks.map(task => task.projectId)]
+      .some(projectId => String(projectId) === String(req.query.projectId)))
+    .reverse();
+  res.json({ success: true, batches });
+});
+
+// Show what rolling back a batch would touch, for the confirmation step
+app.get('/api/import-batches/:batchId', (req, res) => {
+  const batch = getImportBatches().find(b => b.id === req.params.batchId);
+  if (!batch) {
+    return res.status(404).json({ success: false, error: 'Import batch not found' });
+  }
+
+  res.json({
+    success: true,
+    batch,
+    summary: {
+      projectId: batch.projectId,
+      fileName: batch.fileName,
+      importedAt: batch.finishedAt,
+      projectIds: [...new Set(batch.createdTasks.map(task => task.projectId || batch.projectId))],
+      taskCount: batch.createdTasks.length,
+      tasks: batch.createdTasks.map(task => `#${task.localTaskId || task.bugherdId}`),
+      alreadyRolledBack: !!batch.rollback && batch.rollback.failed.length === 0
+    }
+  });
+});
+
+// Undo an import by deleting or archiving exactly the tasks it created
+app.post('/api/import-batches/:batchId/rollback', async (req, res) => {
+  const { action = 'delete', confirm } = req.body || {};
+
+  if (!['delete', 'archive'].includes(action)) {
+    return res.status(400).json({ success: false, error: 'Action must be either delete or archive' });
+  }
+  if (confirm !== true) {
+    return res.status(400).json({ success: false, error: 'Rollback must be confirmed with { confirm: true }' });
+  }
+
+  const batch = getImportBatches().find(b => b.id === req.params.batchId);
+  if (!batch) {
+    return res.status(404).json({ success: false, error: 'Import batch not found' });
+  }
+  if (batch.rollback && batch.rollback.failed.length === 0) {
+    return res.status(409).json({ success: false, error: `Import batch was already rolled back on ${batch.rollback.at}` });
+  }
+
+  // A partly failed rollback can be retried; only the tasks that failed last time are attempted again
+  const pending = batch.rollback
+    ? batch.rollback.failed.map(({ error, ...task }) => task)
+    : batch.createdTasks;
+  const undone = batch.rollback ? [...batch.rollback.undone] : [];
+  const failed = [];
+  for (const task of pending) {
+    const url = `/projects/${task.projectId || batch.projectId}/tasks/${task.bugherdId}.json`;
+    try {
+      if (action === 'delete') {
+        await bugherdApi.delete(url);
+      } else {
+        await bugherdApi.put(url, { task: { status: 'closed' } });
+      }
+      undone.push(task);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        // Already removed by hand in BugHerd
+        undone.push({ ...task, note: 'already removed' });
+      } else {
+        failed.push({ ...task, error: error.response?.data?.message || error.message });
+      }
+    }
+  }
+
+  const rollback = {
+    action,
+    at: new Date().toISOString(),
+    undone,
+    failed
+  };
+
+  // Re-read before writing so a concurrent import is not lost
+  const batches = getImportBatches();
+  const stored = batches.find(b => b.id === batch.id);
+  stored.rollback = rollback;
+  writeDataFile(IMPORT_BATCHES_FILE, batches);
+
+  res.json({ success: failed.length === 0, batchId: batch.id, rollback });
+});
+
+// Export bugs from BugHerd
+// File formats /api/export can produce
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json', 'ndjson'];
+
+// JSON and NDJSON carry task records rather than spreadsheet rows
+const RECORD_FORMATS = ['json', 'ndjson'];
+
+// Column sets: the client-facing standard export, or one the importer reads back as is
+const EXPORT_PROFILES = ['standard', 'round-trip'];
+
+// Sheet formats an evidence bundle (the sheet plus its downloaded files, zipped) can hold
+const BUNDLE_FORMATS = ['csv', 'xlsx'];
+
+// Task details fetched at once while exporting
+const EXPORT_CONCURRENCY = parseInt(process.env.EXPORT_CONCURRENCY || '5', 10);
+
+// Columns of the export, in order; the project's custom fields follow them
+const EXPORT_HEADERS = [
+  'Task ID',     // BugHerd's own task ID, stable across exports
+  'Task #',      // The task number shown in BugHerd
+  'Task URL',
+  'Bug Status',
+  'Bug Type',
+  'Severity',
+  'Tags/Categories',
+  'Description',
+  'Site + URL',  // Combined Site and URL column
+  'OS',
+  'Browser',
+  'Browser Size',
+  'Resolution',
+  'Screenshot URL',
+  'Reporter'
+];
+
+// Optional sequential column, numbered in export order; it changes whenever the export does
+const ROW_NUMBER_HEADER = 'Row #';
+
+// Link to a task in BugHerd, from the API's admin link or built from the project and task number
+function getTaskLink(projectId, task) {
+  if (task.admin_link) return task.admin_link;
+  const taskNumber = task.local_task_id || task.id;
+  return taskNumber ? `https://www.bugherd.com/projects/${projectId}/tasks/${taskNumber}` : '';
+}
+
+// Columns the export column picker offers besides the standard ones, as { key, label }:
+// the key is the export row field, the label its default header
+const EXTRA_EXPORT_COLUMNS = [
+  { key: ROW_NUMBER_HEADER, label: ROW_NUMBER_HEADER },
+  { key: 'Status', label: 'Status' },
+  { key: 'Priority', label: 'Priority' },
+  { key: 'Priority ID', label: 'Priority ID' },
+  { key: 'siteUrl', label: 'Page URL' },
+  { key: 'Assignee', label: 'Assignee' },
+  { key: 'Created At', label: 'Created At' },
+  { key: 'Updated At', label: 'Updated At' },
+  { key: 'Due At', label: 'Due At' }
+];
+
+// Every column an export can be built from, the project's custom fields last
+function getExportColumnChoices(customColumns = []) {
+  return [
+    ...EXPORT_HEADERS.map(key => ({ key, label: key })),
+    ...EXTRA_EXPORT_COLUMNS,
+    ...customColumns.map(field => ({ key: field.name, label: field.name, custom: true }))
+  ];
+}
+
+// Check a column selection of [{ key, header }] against the choices: { columns } or { error }.
+// A blank header falls back to the column's label.
+function validateExportColumns(columns, choices) {
+  if (!Array.isArray(columns) || columns.length === 0) {
+    return { error: 'columns must be a list of { key, header }' };
+  }
+  const labels = new Map(choices.map(choice => [choice.key, choice.label]));
+  const unknown = columns.filter(column => !column || !labels.has(column.key));
+  if (unknown.length > 0) {
+    return { error: `Unknown export columns: ${unknown.map(column => (column && column.key) || '(blank)').join(', ')}` };
+  }
+
+  const cleanColumns = columns.map(column => ({
+    key: column.key,
+    header: String(column.header || '').trim() || labels.get(column.key)
+  }));
+  const repeated = ['key', 'header'].flatMap(part => {
+    const values = cleanColumns.map(column => column[part].toLowerCase());
+    return cleanColumns.filter((column, index) => values.indexOf(values[index]) !== index).map(column => column[part]);
+  });
+  if (repeated.length > 0) {
+    return { error: `Export columns are listed twice: ${Array.from(new Set(repeated)).join(', ')}` };
+  }
+  return { columns: cleanColumns };
+}
+
+// Helper to extract Browser, OS, Resolution, and Browser Window from description text
+function extractEnvFromDescription(description) {
+  const result = { os: '', browser: '', resolution: '', browserWindow: '' };
+  if (typeof description !== 'string') return result;
+  // Regex patterns (case-insensitive, tolerant to spaces)
+  const osMatch = description.match(/OS\s*:\s*([^\n]+)/i);
+  const browserMatch = description.match(/Browser\s*:\s*([^\n]+)/i);
+  const resMatch = description.match(/Resolution\s*:?\s*([^\n]+)/i);
+  const browserWindowMatch = description.match(/Browser\s*Window\s*:?\s*([^\n]+)/i);
+  if (osMatch) result.os = osMatch[1].trim();
+  if (browserMatch) result.browser = browserMatch[1].trim();
+  if (resMatch) result.resolution = resMatch[1].trim();
+  if (browserWindowMatch) result.browserWindow = browserWindowMatch[1].trim();
+  return result;
+}
+
+// Predicate for the feedback/taskBoard/archive export filters; a task matching several is kept once
+function createExportFilter(filters, board) {
+  // The task board is whatever columns the project has; fall back to the default board
+  const columnIds = new Set(board ? board.columns.map(column => String(column.id)) : []);
+  const columnNames = board
+    ? board.columns.map(column => normalizeStatus(column.name))
+    : KNOWN_STATUSES.filter(status => !SPECIAL_STATUSES[status]).map(normalizeStatus);
+
+  const isFeedback = task => String(task.status || '').toLowerCase() === 'feedback';
+
+  const isOnTaskBoard = task => {
+    if (task.status_id !== undefined && task.status_id !== null && columnIds.has(String(task.status_id))) {
+      return true;
+    }
+    if (!task.status) return false;
+    return columnNames.includes(normalizeStatus(task.status));
+  };
+
+  return task => Boolean(
+    (filters.feedback && isFeedback(task)) ||
+    (filters.taskBoard && isOnTaskBoard(task)) ||
+    (filters.archive && isArchivedTask(task))
+  );
+}
+
+// Archive status can be indicated by status text or status_id
+function isArchivedTask(task) {
+  const status = String(task.status || '').toLowerCase();
+  const statusId = parseInt(task.status_id || '0');
+  return status.includes('archive') ||
+    status.includes('closed') ||
+    statusId === 5; // Assuming 5 is the ID for closed/archived status
+}
+
+// Fetch detailed info for a task (to get screenshot_url and attachments)
+async function fetchExportTaskDetails(projectId, task) {
+  try {
+    const response = await bugherdApi.get(`/projects/${projectId}/tasks/${task.id}.json`);
+    const detailedTask = response.data.task || response.data;
+    // Merge with original task data, detailed data takes precedence
+    return { ...task, ...detailedTask };
+  } catch (error) {
+    // If details can't be fetched, use the original
+    return task;
+  }
+}
+
+// Header of the optional comments column
+const COMMENTS_HEADER = 'Comments';
+
+// A task's comment thread, oldest first: [{ id, author: { name, email }, text, createdAt }].
+// The thread is empty when the comments can't be fetched.
+async function fetchTaskComments(projectId, taskId) {
+  try {
+    const response = await bugherdApi.get(`/projects/${projectId}/tasks/${taskId}/comments.json`);
+    const comments = response.data.comments || (Array.isArray(response.data) ? response.data : []);
+    return comments
+      .map(comment => ({
+        id: comment.id,
+        author: {
+          name: comment.user?.display_name || comment.user?.name || null,
+          email: comment.user?.email || comment.user_email || null
+        },
+        text: String(comment.text || '').trim(),
+        createdAt: comment.created_at || null
+      }))
+      .sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+  } catch (error) {
+    console.error(`Error fetching comments for task ${taskId}:`, error.message);
+    return [];
+  }
+}
+
+// Give each task its comment thread, for the reports
+async function attachTaskComments(projectId, tasks) {
+  const withComments = new Array(tasks.length);
+  await runWithConcurrency(tasks, EXPORT_CONCURRENCY, async (task, index) => {
+    withComments[index] = { ...task, comments: await fetchTaskComments(projectId, task.id) };
+  });
+  return withComments;
+}
+
+// A thread as one cell, in the "[time] Author: text || ..." form the importer reads back
+function formatCommentsCell(comments) {
+  return comments.map(comment => {
+    const author = comment.author.name || comment.author.email || 'Unknown';
+    const time = comment.createdAt && !isNaN(new Date(comment.createdAt).getTime())
+      ? `[${new Date(comment.createdAt).toISOString().slice(0, 16).replace('T', ' ')}] `
+      : '';
+    return `${time}${author}: ${comment.text}`;
+  }).join(' ||\n');
+}
+
+// Evidence bundles keep every downloaded file in one folder; names start with the task ID,
+// so they are unique and the importer can find them when the bundle is uploaded as an attachments ZIP
+const EVIDENCE_FOLDER = 'evidence';
+const EVIDENCE_MAX_BYTES = parseInt(process.env.EVIDENCE_MAX_BYTES || String(25 * 1024 * 1024), 10);
+const MISSING_EVIDENCE_FILE = 'missing-evidence.txt';
+
+// Columns the standard profile adds to a bundle; round-trip bundles rewrite Attachments instead
+const SCREENSHOT_FILE_HEADER = 'Screenshot File';
+const ATTACHMENT_FILES_HEADER = 'Attachment Files';
+
+const EVIDENCE_EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+  'text/plain': '.txt'
+};
+
+// A file name for a downloaded URL: its own name made safe, with an extension from its type if it has none
+function getEvidenceFileName(url, contentType) {
+  let name = '';
+  try {
+    name = decodeURIComponent(path.basename(new URL(url).pathname));
+  } catch (error) {
+    // Unreadable paths just get a generic name
+  }
+  name = name.replace(/[^\w.-]+/g, '_').replace(/^[._]+/, '').slice(-80) || 'file';
+  const extension = EVIDENCE_EXTENSIONS[String(contentType).split(';')[0].trim().toLowerCase()];
+  return path.extname(name) || !extension ? name : `${name}${extension}`;
+}
+
+// Files on BugHerd need the account's login, like the API; links to other hosts (signed
+// storage URLs) are fetched without it so the API key never leaves BugHerd
+function getEvidenceAuth(url) {
+  try {
+    const { hostname } = new URL(url);
+    return hostname === 'bugherd.com' || hostname.endsWith('.bugherd.com') ? bugherdApi.defaults.auth : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Download a task's screenshot and attachments into the bundle folder with bundle-relative paths.
+// Files that can't be downloaded keep their URL and are listed in `missing`.
+async function addTaskEvidence(folder, task, screenshotUrl, missing) {
+  const screenshot = isAttachmentUrl(screenshotUrl || '') ? screenshotUrl : '';
+  const files = { screenshot: '', attachments: [], all: [] };
+  const urls = getTaskAttachmentUrls(task, screenshot).filter(isAttachmentUrl);
+
+  for (const [index, url] of urls.entries()) {
+    let ref = url;
+    try {
+      const response = await axios.get(url, {
+        auth: getEvidenceAuth(url),
+        responseType: 'arraybuffer',
+        timeout: 60000,
+        maxContentLength: EVIDENCE_MAX_BYTES
+      });
+      const fileName = getEvidenceFileName(url, response.headers['content-type']);
+      ref = url === screenshot
+        ? `${EVIDENCE_FOLDER}/${task.id}-screenshot${path.extname(fileName)}`
+        : `${EVIDENCE_FOLDER}/${task.id}-${index}-${fileName}`;
+      await fs.promises.writeFile(path.join(folder, ref), Buffer.from(response.data));
+    } catch (error) {
+      missing.push({ taskId: task.id, url, error: error.message });
+    }
+
+    files.all.push(ref);
+    if (url === screenshot) {
+      files.screenshot = ref;
+    } else {
+      files.attachments.push(ref);
+    }
+  }
+  return files;
+}
+
+// Convert a detailed task to an export row with all available fields, or null if it can't be read.
+// Rows also carry Status, Priority and siteUrl for the XLSX summary and the reports.
+function buildExportRow(task, index, { projectId, priorities, severityField, customColumns, members }) {
+  try {
+    // Helper function to safely get and format values
+    const getValue = (value, defaultValue = '') => {
+      if (value === null || value === undefined) return defaultValue;
+      if (Array.isArray(value)) return value.join(', ');
+      if (typeof value === 'object') return JSON.stringify(value);
+      return String(value).trim();
+    };
+
+    // Extract task data with null checks and formatting
+    const taskId = task.id || '';
+    const status = getValue(task.status);
+    
+    // Label the priority in the project's own vocabulary
+    const priority = formatPriority(task, priorities);
+    
+    const description = getValue(task.description);
+    
+    // Enhanced site URL extraction
+    let siteUrl = '';
+    
+    // Check URL fields in order of preference based on BugHerd API response
+    const possibleUrlFields = [
+      task.url,                     // Direct URL from BugHerd
+      task.site_url,                // Alternative URL field
+      task.site,                    // Site field (might contain domain)
+      task.page_url,                // Page URL field
+      task.page,                    // Page field
+      task.site_page,               // Site page field
+      task.URL,                     // Uppercase URL field (just in case)
+      task['page_url'],             // Alternative syntax
+      task['page-url'],             // Kebab case
+      task['site-page'],            // Kebab case
+      task['site_page']             // Snake case
+    ];
+    
+    // Also check in the task's attributes if they exist
+    if (task.attributes && typeof task.attributes === 'object') {
+      possibleUrlFields.push(
+        task.attributes.url,
+        task.attributes.page_url,
+        task.attributes.site_url
+      );
+    }
+    
+    // Try to extract from description as last resort
+    const urlRegex = /(?:https?:\/\/|www\.)[^\s\n\)\]\}'">]+/gi;
+    const urlsInDescription = (description || '').match(urlRegex) || [];
+    
+    // Combine all possible URL sources
+    const allUrlSources = [...possibleUrlFields, ...urlsInDescription];
+    
+    // Find the first valid URL
+    for (const url of allUrlSources) {
+      if (!url) continue;
+      
+      let cleanUrl = String(url).trim();
+      if (!cleanUrl || cleanUrl === 'null' || cleanUrl === 'undefined') continue;
+      
+      // Clean up the URL
+      cleanUrl = cleanUrl
+        .replace(/^['"]+|['"]+$/g, '') // Remove surrounding quotes
+        .replace(/\s+/g, '')            // Remove any whitespace
+        .replace(/\n/g, '')             // Remove newlines
+        .replace(/\.\.\.$/, '')        // Remove trailing ellipsis
+        .replace(/,$/, '');              // Remove trailing comma if present
+        
+      // Skip if URL is too short to be valid
+      if (cleanUrl.length < 5) continue;
+      
+      // Ensure URL has protocol
+      if (!cleanUrl.match(/^https?:\/\//)) {
+        // If it starts with //, add https:
+        if (cleanUrl.startsWith('//')) {
+          cleanUrl = 'https:' + cleanUrl;
+        } 
+        // If it starts with www., add https://
+        else if (cleanUrl.startsWith('www.')) {
+          cleanUrl = 'https://' + cleanUrl;
+        }
+        // Otherwise, it's likely a path, prepend https://
+        else {
+          cleanUrl = 'https://' + cleanUrl.replace(/^\/+/g, '');
+        }
+      }
+      
+      // Basic URL validation
+      try {
+        const urlObj = new URL(cleanUrl);
+        // If we get here, it's a valid URL
+        siteUrl = cleanUrl;
+        break; // Use the first valid URL we find
+      } catch (e) {
+        // Not a valid URL, continue to next candidate
+        continue;
+      }
+    }
+
+    
+    // Extract environment information
+    let os = getValue(task.requester_os || task.os || task.operating_system);
+    let browser = getValue(task.requester_browser || task.browser);
+    let browserSize = getValue(task.requester_browser_size || task.browser_size || task.viewport || task.window_size || task.browser_window_size);
+    let resolution = getValue(task.requester_resolution || task.resolution || task.screen_resolution);
+    
+    // Extract environment details from description
+    const env = extractEnvFromDescription(description);
+    
+    // Fill in missing fields from description with better fallbacks
+    if (!os) os = env.os;
+    if (!browser) browser = env.browser;
+    
+    // Handle resolution and browser size with better logic
+    if (env.browserWindow) {
+        // If we have browser window from description, use it for browserSize
+        browserSize = env.browserWindow;
+    }
+    
+    if (!resolution) {
+        resolution = env.resolution || browserSize;
+    }
+    
+    // If we still don't have browser size but have resolution, use resolution
+    if (!browserSize && resolution) {
+        browserSize = resolution;
+    }
+    
+    // Enhanced screenshot extraction
+    let screenshot = '';
+    
+    // 1. Check direct screenshot fields first
+    const possibleScreenshotFields = [
+      task.screenshot_url,
+      task.screenshot,
+      task.image_url,
+      task.attachment_url
+    ];
+    
+    for (const field of possibleScreenshotFields) {
+      if (field && typeof field === 'string' && field.trim() !== '') {
+        screenshot = field.trim();
+        break;
+      }
+    }
+    
+    // 2. If no direct screenshot URL, check attachments
+    if (!screenshot && Array.isArray(task.attachments)) {
+      // Look for image attachments first
+      const imgAttachment = task.attachments.find(att => 
+        att.content_type && 
+        att.content_type.startsWith('image/') && 
+        att.url
+      );
+      
+      if (imgAttachment) {
+        screenshot = imgAttachment.url;
+      } else if (task.attachments.length > 0) {
+        // Fall back to any attachment if no image found
+        screenshot = task.attachments[0].url || '';
+      }
+    }
+    
+    // 3. If still no screenshot, try to extract from description
+    if (!screenshot && description) {
+      // Look for screenshot URL in the format: "Screenshot: <URL>"
+      const screenshotMatch = description.match(/Screenshot:\s*(https?:\/\/[^\s\n]+)/i);
+      if (screenshotMatch && screenshotMatch[1]) {
+        screenshot = screenshotMatch[1].trim();
+      } else {
+        // Fallback: Look for any image URL in the description
+        const imgUrlMatch = description.match(/(https?:\/\/[^\s\n]+\.(?:jpg|jpeg|png|gif|webp|bmp)(?:\?[^\s\n]*)?)/i);
+        if (imgUrlMatch && imgUrlMatch[0]) {
+          screenshot = imgUrlMatch[0].trim();
         }
       }
+    }
+    
+    const tags = Array.isArray(task.tag_names) ? task.tag_names.join(', ') : getValue(task.tags);
+
+    // Severity comes from the Severity custom field, else the severity:<value> tag added on import
+    const severityTag = (Array.isArray(task.tag_names) ? task.tag_names : [])
+      .find(tag => /^severity:/i.test(tag));
+    const severity = (severityField && getValue(getTaskCustomFieldValue(task, severityField))) ||
+      (severityTag ? severityTag.slice('severity:'.length) : '');
+    // const dueAt = task.due_at ? new Date(task.due_at).toISOString() : '';
+    const requesterEmail = getValue(task.requester_email);
+    
+    // Get the site value from task.site if available, otherwise extract domain from siteUrl
+    let site = getValue(task.site);
+    
+    // If site is empty but we have a siteUrl, use the full URL
+    if ((!site || site === '') && siteUrl) {
+      try {
+        // Ensure the URL has a protocol
+        const fullUrl = siteUrl.match(/^https?:\/\//) ? siteUrl : `https://${siteUrl}`;
+        const url = new URL(fullUrl);
+        // Keep the full URL with protocol but clean it up
+        site = `${url.protocol}//${url.hostname}${url.port ? ':' + url.port : ''}`;
+      } catch (e) {
+        // If URL parsing fails, use the siteUrl as is
+        site = siteUrl;
+      }
+    }
+    
+    // Format site and URL, removing duplicates and fixing protocol issues
+    let siteDisplay = '';
+    let cleanSite = site || '';
+    let cleanUrl = siteUrl || '';
+    
+    // Remove any protocol from the site if present
+    cleanSite = cleanSite.replace(/^https?:\/\//, '');
+    
+    // Ensure URL has a protocol
+    if (cleanUrl && !cleanUrl.match(/^https?:\/\//)) {
+      cleanUrl = `https://${cleanUrl}`;
+    }
+    
+    if (cleanSite && cleanUrl) {
+      // Remove the protocol and www from the URL for comparison
+      const urlObj = new URL(cleanUrl);
+      const urlWithoutProtocol = urlObj.hostname.replace(/^www\./, '') + urlObj.pathname + urlObj.search;
+      const siteWithoutWww = cleanSite.replace(/^www\./, '');
+      
+      // Check if the site is already part of the URL
+      if (urlWithoutProtocol.includes(siteWithoutWww)) {
+        siteDisplay = cleanUrl; // Use the full URL if site is already in it
+      } else {
+        // Otherwise, combine them, making sure not to duplicate the protocol
+        const sitePart = cleanSite.endsWith('/') ? cleanSite.slice(0, -1) : cleanSite;
+        const urlPart = cleanUrl.startsWith('http') ? cleanUrl.replace(/^https?:\/\//, '') : cleanUrl;
+        siteDisplay = `${sitePart}/${urlPart}`;
+      }
+    } else if (cleanSite) {
+      siteDisplay = cleanSite;
+    } else if (cleanUrl) {
+      siteDisplay = cleanUrl;
+    }
+    
+    // Return all available fields with combined Site + URL
+    return {
+      ...Object.fromEntries(customColumns.map(field => [field.name, getValue(getTaskCustomFieldValue(task, field))])),
+      'Task ID': task.id || '',
+      'Task #': task.local_task_id || '',
+      'Task URL': getTaskLink(projectId, task),
+      [ROW_NUMBER_HEADER]: index + 1,
+      'Bug Status': 'New',
+      'Status': status,
+      'Bug Type': (status && status.toLowerCase() === 'suggestion' ? 'Suggestion' : (status && status.toLowerCase() === 'qa team' ? 'Bug' : status)),
+      'Severity': severity,
+      'Priority': priority,
+      'Priority ID': task.priority_id || '',
+      'Description': description,
+      'Tags/Categories': tags,
+      'Site + URL': siteDisplay,
+      'siteDisplay': siteDisplay, // Add siteDisplay for HTML report
+      'siteUrl': siteUrl, // Keep original siteUrl for reference
+      'OS': os,
+      'Browser': browser,
+      'Browser Size': browserSize,
+      'Resolution': resolution,
+      'Screenshot URL': screenshot,
+      'Reporter': requesterEmail,
+      'Assignee': task.assigned_to?.email || members.get(String(task.assigned_to_id))?.email || '',
+      'Created At': task.created_at || '',
+      'Updated At': task.updated_at || '',
+      'Due At': task.due_at || ''
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// The round-trip profile exports columns the importer maps on its own, so an export can be
+// edited and uploaded again, to the same project or another one. Custom fields follow by name.
+const ROUND_TRIP_COLUMNS = [
+  { header: 'External ID', field: 'external_id', value: (task) => task.external_id },
+  { header: 'BugHerd ID', field: 'bugherd_id', value: (task) => task.id },
+  { header: 'Task Number', field: 'local_task_id', value: (task) => task.local_task_id },
+  { header: 'Description', field: 'description', value: (task, row) => stripEnvironmentBlock(row['Description']) },
+  { header: 'Priority', field: 'priority', value: (task) => (getTaskPriority(task) || BUGHERD_PRIORITIES['not set']).name },
+  { header: 'Status', field: 'status', value: (task, row) => row['Status'] },
+  // Tags keep the severity:<value> tag, so it survives even when the Severity column goes to a
+  // custom field that doesn't have that value as an option
+  { header: 'Tags', field: 'tags', value: (task) => (Array.isArray(task.tag_names) ? task.tag_names : []).join(', ') },
+  { header: 'Severity', field: 'severity', value: (task, row) => row['Severity'] },
+  { header: 'Requester', field: 'requester_email', value: (task, row) => row['Reporter'] || task.requester?.email },
+  { header: 'Assignee', field: 'assignee', value: (task, row) => row['Assignee'] },
+  { header: 'OS', field: 'os', value: (task, row) => row['OS'] },
+  { header: 'Browser', field: 'browser', value: (task, row) => row['Browser'] },
+  { header: 'Browser Version', field: 'browser_version', value: (task, row) => {
+    // A browser read from the description already ends with its version
+    const version = String(task.requester_browser_version || task.browser_version || '').trim();
+    return version && !String(row['Browser']).endsWith(version) ? version : '';
+  } },
+  { header: 'Resolution', field: 'resolution', value: (task, row) => row['Resolution'] },
+  { header: 'Browser Window', field: 'browser_size', value: (task, row) => row['Browser Size'] },
+  { header: 'Site', field: 'site', value: (task, row) => row.siteUrl },
+  { header: 'Attachments', field: 'attachments', value: (task, row) => getTaskAttachmentUrls(task, row['Screenshot URL']).join('\n') }
+];
+
+// The importer appends an "OS: …\nURL: …" block to descriptions. Round-trip files carry those
+// values in their own columns, so the block is dropped to keep it from piling up on re-import.
+function stripEnvironmentBlock(description) {
+  const text = String(description || '');
+  const index = text.lastIndexOf('\n\n');
+  if (index === -1) return text;
+  const lines = text.slice(index + 2).split('\n');
+  return lines.every(line => /^(OS|Browser|Resolution|Browser Window|URL):/i.test(line.trim()))
+    ? text.slice(0, index)
+    : text;
+}
+
+// The screenshot followed by every other attachment URL of a task
+function getTaskAttachmentUrls(task, screenshot) {
+  const urls = screenshot ? [screenshot] : [];
+  (Array.isArray(task.attachments) ? task.attachments : []).forEach(attachment => {
+    if (attachment.url && !urls.includes(attachment.url)) urls.push(attachment.url);
+  });
+  return urls;
+}
+
+// Re-key a standard export row by the round-trip columns, keeping the custom field values
+function buildRoundTripRow(task, row, context) {
+  const roundTripRow = { ...row };
+  ROUND_TRIP_COLUMNS.forEach(column => {
+    const value = column.value(task, row, context);
+    roundTripRow[column.header] = value === undefined || value === null ? '' : value;
+  });
+  return roundTripRow;
+}
+
+// Version of the JSON/NDJSON task record. Fields may be added within a version;
+// bump it (and publish a new schema file) when a field changes meaning or goes away.
+const TASK_RECORD_SCHEMA_VERSION = 1;
+const TASK_RECORD_SCHEMA_URL = '/schemas/task-record-v1.json';
+
+const orNull = (value) => (value === undefined || value === null || value === '' ? null : value);
+
+// A normalized task record for the JSON and NDJSON exports, as described by TASK_RECORD_SCHEMA_URL
+function buildTaskRecord(task, row, { projectId, severityField, customColumns, members }) {
+  const priority = getTaskPriority(task) || BUGHERD_PRIORITIES['not set'];
+  const assignee = task.assigned_to || members.get(String(task.assigned_to_id)) || null;
+  const requesterEmail = row['Reporter'] || task.requester?.email;
+
+  const customFields = {};
+  [severityField, ...customColumns].filter(Boolean).forEach(field => {
+    customFields[field.name] = orNull(getTaskCustomFieldValue(task, field));
+  });
+
+  return {
+    id: task.id,
+    localTaskId: orNull(task.local_task_id),
+    externalId: orNull(task.external_id),
+    projectId: String(projectId),
+    link: getTaskLink(projectId, task),
+    description: row['Description'] || '',
+    status: orNull(row['Status']),
+    statusId: orNull(task.status_id),
+    priority: priority.name,
+    priorityLabel: orNull(row['Priority']),
+    severity: orNull(row['Severity']),
+    tags: Array.isArray(task.tag_names) ? task.tag_names : [],
+    requester: requesterEmail || task.requester
+      ? { email: orNull(requesterEmail), name: orNull(task.requester?.display_name || task.requester_name) }
+      : null,
+    assignee: assignee
+      ? { id: orNull(assignee.id), email: orNull(assignee.email), name: orNull(getMemberName(assignee)) }
+      : null,
+    page: { site: orNull(task.site), url: orNull(row.siteUrl) },
+    environment: {
+      os: orNull(row['OS']),
+      browser: orNull(row['Browser']),
+      browserVersion: orNull(task.requester_browser_version || task.browser_version),
+      browserSize: orNull(row['Browser Size']),
+      resolution: orNull(row['Resolution'])
+    },
+    screenshotUrl: orNull(row['Screenshot URL']),
+    attachments: (Array.isArray(task.attachments) ? task.attachments : []).map(attachment => ({
+      fileName: orNull(attachment.file_name || attachment.filename || attachment.name),
+      url: orNull(attachment.url),
+      contentType: orNull(attachment.content_type)
+    })),
+    customFields,
+    createdAt: orNull(task.created_at),
+    updatedAt: orNull(task.updated_at),
+    dueAt: orNull(task.due_at)
+  };
+}
+
+// Helper function to escape CSV values
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  // Handle non-string values
+  if (typeof value !== 'string') {
+    if (Array.isArray(value)) {
+      value = value.join(', ');
+    } else if (typeof value === 'object') {
+      value = JSON.stringify(value);
+    } else {
+      value = String(value);
+    }
+  }
+  // Escape quotes and wrap in quotes if value contains commas, quotes, or newlines
+  if (/[,\n"]/.test(value)) {
+    return '"' + value.replace(/"/g, '""') + '"';
+  }
+  return value;
+};
+
+// One CSV line in header order, filling missing columns with empty strings
+const toCsvLine = (headers, row) => headers.map(header => escapeCsv(row[header])).join(',') + '\n';
+
+// Formats written to the response as rows arrive: how each one opens, writes a row and closes
+const STREAMED_FORMATS = {
+  csv: {
+    contentType: 'text/csv',
+    open: ({ headers, labels }) => headers.map(header => escapeCsv(labels[header] || header)).join(',') + '\n',
+    row: (row, index, { headers }) => toCsvLine(headers, row),
+    close: () => ''
+  },
+  json: {
+    contentType: 'application/json',
+    open: ({ projectId, exportToken, exportedAt, since }) => JSON.stringify({
+      schema: TASK_RECORD_SCHEMA_URL,
+      schemaVersion: TASK_RECORD_SCHEMA_VERSION,
+      projectId: String(projectId),
+      exportToken,
+      exportedAt: exportedAt.toISOString(),
+      since: since ? since.toISOString() : null
+    }).slice(0, -1) + ',"tasks":[\n',
+    row: (record, index) => (index > 0 ? ',\n' : '') + JSON.stringify(record),
+    close: () => '\n]}\n'
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson',
+    open: () => '',
+    row: (record) => JSON.stringify(record) + '\n',
+    close: () => ''
+  }
+};
+
+// Every export is remembered so the next one can ask for changes only:
+// { exports: { token: { token, projectId, user, exportedAt, tasks: { taskId: { localTaskId, archived } } } },
+//   latest: { 'projectId:user': token } }
+// The tasks are those the export's filters covered, changed or not, so later exports can tell
+// which of them have since been deleted or archived.
+const EXPORT_HISTORY_FILE = 'export-history.json';
+
+// Older exports are dropped once a project/user pair has this many
+const EXPORT_HISTORY_LIMIT = parseInt(process.env.EXPORT_HISTORY_LIMIT || '10', 10);
+
+// Header added to CSV/XLSX rows of an incremental export
+const CHANGE_HEADER = 'Change';
+
+const getExportHistoryKey = (projectId, user) => `${projectId}:${normalizePersonKey(user)}`;
+
+function getExportHistory() {
+  return readDataFile(EXPORT_HISTORY_FILE, { exports: {}, latest: {} });
+}
+
+// Work out what an export is incremental to: { since, previous } or { error }.
+// `since` is a timestamp, `sinceToken` a previous export and `sinceLast` the caller's last export.
+function resolveExportBaseline(body, projectId) {
+  const history = getExportHistory();
+
+  if (body.sinceToken) {
+    const previous = history.exports[body.sinceToken];
+    if (!previous || String(previous.projectId) !== String(projectId)) {
+      return { error: `Unknown export token "${body.sinceToken}" for this project` };
+    }
+    return { since: new Date(previous.exportedAt), previous };
+  }
+
+  if (body.sinceLast) {
+    const token = history.latest[getExportHistoryKey(projectId, body.user)];
+    const previous = token && history.exports[token];
+    // Nothing exported yet: everything is new
+    return previous ? { since: new Date(previous.exportedAt), previous } : { since: null, previous: null };
+  }
+
+  if (body.since) {
+    const since = new Date(body.since);
+    if (isNaN(since.getTime())) {
+      return { error: `since must be a date, got "${body.since}"` };
+    }
+    return { since, previous: null };
+  }
+
+  return { since: null, previous: null };
+}
+
+// How a task changed since the baseline: 'new', 'updated' or null when it didn't
+function getTaskChange(task, since) {
+  if (!since) return 'new';
+  const createdAt = task.created_at ? new Date(task.created_at) : null;
+  if (createdAt && createdAt > since) return 'new';
+  const updatedAt = task.updated_at ? new Date(task.updated_at) : null;
+  if (updatedAt && updatedAt > since) return 'updated';
+  // Without timestamps there's no telling, so the task is included
+  return createdAt || updatedAt ? null : 'updated';
+}
+
+// Remember an export under its token
+function recordExport(token, projectId, user, exportedAt, tasks) {
+  const history = getExportHistory();
+  const key = getExportHistoryKey(projectId, user);
+  history.exports[token] = {
+    token,
+    projectId: String(projectId),
+    user: String(user || '').trim(),
+    exportedAt: exportedAt.toISOString(),
+    tasks
+  };
+  history.latest[key] = token;
+
+  // Keep the most recent exports of each project/user pair
+  const ofKey = Object.values(history.exports)
+    .filter(entry => getExportHistoryKey(entry.projectId, entry.user) === key)
+    .sort((a, b) => new Date(b.exportedAt) - new Date(a.exportedAt));
+  ofKey.slice(EXPORT_HISTORY_LIMIT).forEach(entry => delete history.exports[entry.token]);
+
+  writeDataFile(EXPORT_HISTORY_FILE, history);
+}
+
+// The last export of a project by a user, without its task list
+app.get('/api/export/history', (req, res) => {
+  const { projectId, user } = req.query;
+  if (!projectId) {
+    return res.status(400).json({ success: false, error: 'Project ID is required' });
+  }
+  const history = getExportHistory();
+  const last = history.exports[history.latest[getExportHistoryKey(projectId, user)]];
+  res.json({
+    success: true,
+    last: last
+      ? { token: last.token, exportedAt: last.exportedAt, user: last.user, taskCount: Object.keys(last.tasks).length }
+      : null
+  });
+});
+
+// Export column presets are saved per user or client; presets without an owner are shared:
+// [{ id, name, owner, columns: [{ key, header }], createdAt, updatedAt }]
+const EXPORT_COLUMN_PRESETS_FILE = 'export-column-presets.json';
+
+function getExportColumnPresets() {
+  return readDataFile(EXPORT_COLUMN_PRESETS_FILE, []);
+}
+
+// The presets an owner sees: their own and the shared ones
+const getOwnerColumnPresets = (owner) => getExportColumnPresets()
+  .filter(preset => !preset.owner || normalizePersonKey(preset.owner) === normalizePersonKey(owner));
+
+// The columns an export request picked, explicitly or by preset: { columns }, { columns: null } or { error }
+function resolveExportColumns(body, choices) {
+  if (body.columns) {
+    return validateExportColumns(body.columns, choices);
+  }
+  if (body.columnPresetId) {
+    const preset = getExportColumnPresets().find(p => p.id === body.columnPresetId);
+    if (!preset) {
+      return { error: `Column preset ${body.columnPresetId} not found` };
+    }
+    return validateExportColumns(preset.columns, choices);
+  }
+  return { columns: null };
+}
 
-      // Tasks fetched and processing
-    } catch (error) {
-      const errorDetails = {
-        message: error.message,
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data,
-        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-      };
-      return res.status(500).json({ 
-        error: 'Failed to fetch tasks from BugHerd API',
-        details: errorDetails,
-        status: error.response?.status
+// List the columns an export of a project can have, the default ones and the owner's presets
+app.get('/api/export/columns', async (req, res) => {
+  const { projectId, owner } = req.query;
+  const customFields = projectId ? await loadCustomFields(projectId) || [] : [];
+  const severityField = findCustomField(customFields, 'severity');
+  const customColumns = customFields.filter(field => field !== severityField);
+  res.json({
+    success: true,
+    choices: getExportColumnChoices(customColumns),
+    defaults: [...EXPORT_HEADERS, ...customColumns.map(field => field.name)],
+    presets: getOwnerColumnPresets(owner)
+  });
+});
+
+// Create a column preset, or overwrite the owner's preset with the same name. Custom field
+// columns are checked against the project when one is given; presets can serve several projects.
+app.post('/api/export/column-presets', async (req, res) => {
+  const { name, owner, columns, projectId } = req.body || {};
+
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({ success: false, error: 'Preset name is required' });
+  }
+  const customFields = projectId ? await loadCustomFields(projectId) || [] : null;
+  const choices = getExportColumnChoices(customFields || []);
+  if (!customFields && Array.isArray(columns)) {
+    // Without a project, anything that isn't a standard column is taken for a custom field
+    columns.filter(column => column && column.key && !choices.some(choice => choice.key === column.key))
+      .forEach(column => choices.push({ key: column.key, label: column.key, custom: true }));
+  }
+  const result = validateExportColumns(columns, choices);
+  if (result.error) {
+    return res.status(400).json({ success: false, error: result.error });
+  }
+
+  const presets = getExportColumnPresets();
+  const now = new Date().toISOString();
+  const cleanOwner = String(owner || '').trim();
+  let preset = presets.find(p => p.name.toLowerCase() === String(name).trim().toLowerCase() &&
+    normalizePersonKey(p.owner) === normalizePersonKey(cleanOwner));
+
+  if (preset) {
+    preset.columns = result.columns;
+    preset.updatedAt = now;
+  } else {
+    preset = {
+      id: crypto.randomUUID(),
+      name: String(name).trim(),
+      owner: cleanOwner,
+      columns: result.columns,
+      createdAt: now,
+      updatedAt: now
+    };
+    presets.push(preset);
+  }
+
+  writeDataFile(EXPORT_COLUMN_PRESETS_FILE, presets);
+  res.json({ success: true, preset });
+});
+
+// Export tasks as CSV, XLSX, JSON or NDJSON. Pages are filtered and detailed as they arrive and
+// CSV rows and JSON records are written straight to the response, so memory stays flat.
+app.post('/api/export', async (req, res) => {
+  // Export request received
+  
+  try {
+    // Validate request body
+    if (!req.body) {
+      // No request body received
+      return res.status(400).json({ error: 'Request body is required' });
+    }
+    
+    const { projectId, filters } = req.body;
+    const format = String(req.body.format || 'csv').toLowerCase();
+    
+    // Validating export request
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Validation failed: format must be one of ${EXPORT_FORMATS.join(', ')}`
       });
     }
 
-    // Use the tasks variable that was already set from the API response
-    // Processing and filtering tasks
-    
-    // Ensure tasks is an array before filtering
-    if (!Array.isArray(tasks)) {
-      // Invalid tasks format
-      return res.status(500).json({ 
-        error: 'Invalid tasks data format',
-        details: 'Expected an array of tasks',
-        receivedType: typeof tasks,
-        sampleTask: tasks
+    const profile = String(req.body.profile || 'standard').toLowerCase();
+    if (!EXPORT_PROFILES.includes(profile)) {
+      return res.status(400).json({
+        success: false,
+        error: `Validation failed: profile must be one of ${EXPORT_PROFILES.join(', ')}`
       });
     }
-    
-    // Filter tasks based on enabled filters
-    let filteredTasks = [];
-    
-    if (filters.feedback) {
-      // Filtering feedback tasks
-      const feedbackTasks = tasks.filter(task => {
-        const status = String(task.status || '').toLowerCase();
-        return status === 'feedback';
+
+    const bundle = Boolean(req.body.bundle);
+    if (bundle && !BUNDLE_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Validation failed: an evidence bundle holds a ${BUNDLE_FORMATS.join(' or ')} sheet`
       });
-      // Feedback tasks filtered
-      filteredTasks = [...filteredTasks, ...feedbackTasks];
     }
-    
-    if (filters.taskBoard) {
-      // Filtering task board tasks
-      const taskBoardTasks = tasks.filter(task => {
-        if (!task.status) return false;
-        const status = String(task.status).trim().toLowerCase();
-        const taskBoardStatuses = [
-          'backlog', 'qa team', 'in progress', 'done', 'in-progress','suggestion',
-          'Backlog', 'QA Team', 'In Progress', 'Done', 'In-Progress','Suggestion'
-        ];
-        return taskBoardStatuses.some(s => status === s.toLowerCase());
+
+    // Validate projectId
+    if (!projectId) {
+      const error = 'Validation failed: Project ID is required';
+      // Validation error
+      return res.status(400).json({ 
+        success: false,
+        error: error,
+        receivedData: { projectId, hasFilters: !!filters }
       });
-      // Task board tasks filtered
-      filteredTasks = [...filteredTasks, ...taskBoardTasks];
     }
-    
-    if (filters.archive) {
-      // Filtering archive tasks
-      // Check both status and status_id for archive tasks
-      const archiveTasks = tasks.filter(task => {
-        const status = String(task.status || '').toLowerCase();
-        const statusId = parseInt(task.status_id || '0');
-        
-        // Archive status can be indicated by status text or status_id
-        const isArchived = 
-          status.includes('archive') || 
-          status.includes('closed') ||
-          statusId === 5; // Assuming 5 is the ID for closed/archived status
-          
-        // Checking task archive status
-        return isArchived;
+
+    // Validate filters
+    if (!filters || (typeof filters !== 'object') || 
+        (!filters.feedback && !filters.taskBoard && !filters.archive)) {
+      const error = 'Validation failed: At least one filter must be enabled';
+      // Validation error
+      return res.status(400).json({ 
+        success: false,
+        error: error,
+        receivedFilters: filters
       });
-      
-      // Archive tasks filtered
-      filteredTasks = [...filteredTasks, ...archiveTasks];
     }
-    
-    // Tasks filtered
-
-    // Remove duplicates (in case a task matches multiple filters)
-    const duplicateIds = [];
-    const uniqueTasks = filteredTasks.filter((task, index, self) => {
-      const firstIndex = self.findIndex(t => t.id === task.id);
-      if (index !== firstIndex) {
-        duplicateIds.push(task.id);
-      }
-      return index === firstIndex;
-    });
 
-    // Tasks deduplicated
+    const priorities = getProjectPriorities(projectId);
+    let criteria;
+    try {
+      criteria = parseTaskFilters(filters, priorities);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Validation failed: ${error.message}`,
+        receivedFilters: filters
+      });
+    }
+
+    // Incremental exports only carry what changed since an earlier export or date
+    const baseline = resolveExportBaseline(req.body, projectId);
+    if (baseline.error) {
+      return res.status(400).json({ success: false, error: `Validation failed: ${baseline.error}` });
+    }
+    const { since, previous } = baseline;
+    const incremental = Boolean(req.body.since || req.body.sinceToken || req.body.sinceLast);
+
+    // Starting export process
+
+    // Debug log the project ID and filters
+    console.log('Exporting tasks for project ID:', projectId);
+    console.log('Using filters:', filters);
+
+    const debug = req.query.debug === '1';
+    // Every custom field gets its own column; a "Severity" field fills the Severity column
+    const customFields = await loadCustomFields(projectId) || [];
+    const severityField = findCustomField(customFields, 'severity');
+    const customColumns = customFields.filter(field => field !== severityField);
+    const inScope = createExportFilter(filters, filters.taskBoard ? await loadStatusBoard(projectId) : null);
+    const matchesCriteria = await loadTaskMatcher(projectId, criteria);
+    const isExported = task => inScope(task) && (!matchesCriteria || matchesCriteria(task));
+    const isRecordFormat = RECORD_FORMATS.includes(format);
+
+    // A column selection picks, orders and renames the columns of a standard CSV or XLSX export
+    const selection = resolveExportColumns(req.body, getExportColumnChoices(customColumns));
+    if (selection.error) {
+      return res.status(400).json({ success: false, error: `Validation failed: ${selection.error}` });
+    }
+    if (selection.columns && (profile === 'round-trip' || isRecordFormat)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed: columns can only be chosen for the standard CSV and XLSX export'
+      });
+    }
 
-    // Fetch detailed info for each unique task (to get screenshot_url and attachments)
-    // Fetching detailed task info
-    const detailedTasks = await Promise.all(uniqueTasks.map(async (task, idx) => {
+    const rowContext = { projectId, priorities, severityField, customColumns, members: new Map() };
+    const exportsAssignee = selection.columns && selection.columns.some(column => column.key === 'Assignee');
+    if (profile === 'round-trip' || isRecordFormat || exportsAssignee) {
+      // Assignees are exported by email so they resolve in whichever project the file goes to
       try {
-        const response = await bugherdApi.get(`/projects/${projectId}/tasks/${task.id}.json`);
-        const detailedTask = response.data.task || response.data;
-        if (idx < 5) {
-          // Processing task details
-        }
-        // Merge with original task data, detailed data takes precedence
-        return { ...task, ...detailedTask };
+        (await fetchProjectMembers(projectId)).forEach(member => rowContext.members.set(String(member.id), member));
       } catch (error) {
-        // Error fetching task details (non-critical)
-        // If details can't be fetched, use the original
-        return task;
+        // Tasks that name their assignee still export them
       }
-    }));
-    // Task details fetched
+    }
 
-    // Use detailedTasks instead of uniqueTasks for CSV export
-    if (detailedTasks.length === 0) {
-      // No tasks found matching filters
-      // If debug param is set, include debug info in the response
-      if (req.query.debug === '1') {
-        return res.status(404).json({
-          error: 'No tasks found',
-          message: 'No tasks match the selected filters',
-          filters: filters,
-          debug: {
-            totalFetched: tasks.length,
-            filteredCount: filteredTasks.length,
-            duplicateIds: duplicateIds,
-            uniqueCount: uniqueTasks.length
-          }
-        });
-      }
-      return res.status(404).json({ 
-        error: 'No tasks found',
-        message: 'No tasks match the selected filters',
-        filters: filters
+    // Headers are row keys; labels rename them in the file
+    let headers;
+    let labels = {};
+    if (selection.columns) {
+      headers = selection.columns.map(column => column.key);
+      labels = Object.fromEntries(selection.columns.map(column => [column.key, column.header]));
+    } else if (profile === 'round-trip') {
+      headers = ROUND_TRIP_COLUMNS.map(column => column.header);
+    } else {
+      headers = [...EXPORT_HEADERS];
+    }
+    if (!selection.columns) {
+      customColumns.forEach(field => {
+        if (!headers.includes(field.name)) headers.push(field.name);
       });
     }
+    if (profile === 'standard') {
+      if (req.body.includeRowNumber && !headers.includes(ROW_NUMBER_HEADER)) headers.unshift(ROW_NUMBER_HEADER);
+      if (bundle) {
+        // Next to the screenshot link, or last when it isn't exported
+        const screenshotIndex = headers.indexOf('Screenshot URL');
+        headers.splice(screenshotIndex === -1 ? headers.length : screenshotIndex + 1, 0, SCREENSHOT_FILE_HEADER, ATTACHMENT_FILES_HEADER);
+      }
+    }
+    const includeComments = Boolean(req.body.includeComments);
+    if (includeComments) headers.push(COMMENTS_HEADER);
+    if (incremental) headers.unshift(CHANGE_HEADER);
+    const fileName = `bugherd-tasks-${projectId}-${new Date().toISOString().split('T')[0]}`;
 
-    // If debug param is set, return debug info instead of CSV
-    if (req.query.debug === '1') {
-      return res.json({
-        success: true,
-        debug: {
-          totalFetched: tasks.length,
-          filteredCount: filteredTasks.length,
-          duplicateIds: duplicateIds,
-          uniqueCount: uniqueTasks.length,
-          sampleTasks: uniqueTasks.slice(0, 3)
-        }
-      });
+    const counts = { totalFetched: 0, filteredCount: 0, duplicateIds: [], uniqueCount: 0 };
+    const sampleTasks = [];
+    const seenIds = new Set();
+    // XLSX columns are sized to their content, so their rows are kept
+    const workbookRows = [];
+    const keepsRows = format === 'xlsx';
+    // A bundle is assembled in a temp folder as it goes and zipped straight into the response
+    const evidence = bundle ? fs.mkdtempSync(path.join(os.tmpdir(), 'bugherd-evidence-')) : null;
+    const missingEvidence = [];
+    if (evidence) {
+      fs.mkdirSync(path.join(evidence, EVIDENCE_FOLDER));
+      res.on('close', () => fs.rm(evidence, { recursive: true, force: true }, () => {}));
     }
+    let rowCount = 0;
 
-    // Helper to extract Browser, OS, Resolution, and Browser Window from description text
-function extractEnvFromDescription(description) {
-  const result = { os: '', browser: '', resolution: '', browserWindow: '' };
-  if (typeof description !== 'string') return result;
-  // Regex patterns (case-insensitive, tolerant to spaces)
-  const osMatch = description.match(/OS\s*:\s*([^\n]+)/i);
-  const browserMatch = description.match(/Browser\s*:\s*([^\n]+)/i);
-  const resMatch = description.match(/Resolution\s*:?\s*([^\n]+)/i);
-  const browserWindowMatch = description.match(/Browser\s*Window\s*:?\s*([^\n]+)/i);
-  if (osMatch) result.os = osMatch[1].trim();
-  if (browserMatch) result.browser = browserMatch[1].trim();
-  if (resMatch) result.resolution = resMatch[1].trim();
-  if (browserWindowMatch) result.browserWindow = browserWindowMatch[1].trim();
-  return result;
-}
+    // Stop fetching when the client goes away
+    let aborted = false;
+    res.on('close', () => {
+      if (!res.writableFinished) aborted = true;
+    });
 
-    // Convert detailed tasks to CSV format with all available fields
-    const csvData = detailedTasks.map((task, index) => {
-      try {
-        // Helper function to safely get and format values
-        const getValue = (value, defaultValue = '') => {
-          if (value === null || value === undefined) return defaultValue;
-          if (Array.isArray(value)) return value.join(', ');
-          if (typeof value === 'object') return JSON.stringify(value);
-          return String(value).trim();
-        };
-
-        // Extract task data with null checks and formatting
-        const taskId = task.id || '';
-        const status = getValue(task.status);
-        
-        // Map priority_id to readable string
-        let priority = '';
-        const priorityMap = {
-          1: 'critical',
-          2: 'important',
-          3: 'normal',
-          4: 'minor',
-          0: 'not set',
-        };
-        if (typeof task.priority_id !== 'undefined') {
-          priority = priorityMap[task.priority_id] || getValue(task.priority);
-        } else {
-          priority = getValue(task.priority);
-        }
-        
-        const description = getValue(task.description);
-        
-        // Enhanced site URL extraction
-        let siteUrl = '';
-        
-        // Check URL fields in order of preference based on BugHerd API response
-        const possibleUrlFields = [
-          task.url,                     // Direct URL from BugHerd
-          task.site_url,                // Alternative URL field
-          task.site,                    // Site field (might contain domain)
-          task.page_url,                // Page URL field
-          task.page,                    // Page field
-          task.site_page,               // Site page field
-          task.URL,                     // Uppercase URL field (just in case)
-          task['page_url'],             // Alternative syntax
-          task['page-url'],             // Kebab case
-          task['site-page'],            // Kebab case
-          task['site_page']             // Snake case
-        ];
-        
-        // Also check in the task's attributes if they exist
-        if (task.attributes && typeof task.attributes === 'object') {
-          possibleUrlFields.push(
-            task.attributes.url,
-            task.attributes.page_url,
-            task.attributes.site_url
-          );
-        }
-        
-        // Try to extract from description as last resort
-        const urlRegex = /(?:https?:\/\/|www\.)[^\s\n\)\]\}'">]+/gi;
-        const urlsInDescription = (description || '').match(urlRegex) || [];
-        
-        // Combine all possible URL sources
-        const allUrlSources = [...possibleUrlFields, ...urlsInDescription];
-        
-        // Find the first valid URL
-        for (const url of allUrlSources) {
-          if (!url) continue;
-          
-          let cleanUrl = String(url).trim();
-          if (!cleanUrl || cleanUrl === 'null' || cleanUrl === 'undefined') continue;
-          
-          // Clean up the URL
-          cleanUrl = cleanUrl
-            .replace(/^['"]+|['"]+$/g, '') // Remove surrounding quotes
-            .replace(/\s+/g, '')            // Remove any whitespace
-            .replace(/\n/g, '')             // Remove newlines
-            .replace(/\.\.\.$/, '')        // Remove trailing ellipsis
-            .replace(/,$/, '');              // Remove trailing comma if present
-            
-          // Skip if URL is too short to be valid
-          if (cleanUrl.length < 5) continue;
-          
-          // Ensure URL has protocol
-          if (!cleanUrl.match(/^https?:\/\//)) {
-            // If it starts with //, add https:
-            if (cleanUrl.startsWith('//')) {
-              cleanUrl = 'https:' + cleanUrl;
-            } 
-            // If it starts with www., add https://
-            else if (cleanUrl.startsWith('www.')) {
-              cleanUrl = 'https://' + cleanUrl;
-            }
-            // Otherwise, it's likely a path, prepend https://
-            else {
-              cleanUrl = 'https://' + cleanUrl.replace(/^\/+/g, '');
-            }
-          }
-          
-          // Basic URL validation
-          try {
-            const urlObj = new URL(cleanUrl);
-            // If we get here, it's a valid URL
-            siteUrl = cleanUrl;
-            break; // Use the first valid URL we find
-          } catch (e) {
-            // Not a valid URL, continue to next candidate
-            continue;
-          }
-        }
+    // Changes made while the export runs are picked up by the next one
+    const exportedAt = new Date();
+    const exportToken = crypto.randomUUID();
+    // Tasks the filters cover now, remembered for the next incremental export
+    const snapshot = {};
+    const projectTaskIds = new Set();
+    const archivedIds = new Set();
+    const wasArchivedSince = task => {
+      const before = previous && previous.tasks[task.id];
+      return Boolean(before && !before.archived && isArchivedTask(task));
+    };
 
-        
-        // Extract environment information
-        let os = getValue(task.requester_os || task.os || task.operating_system);
-        let browser = getValue(task.requester_browser || task.browser);
-        let browserSize = getValue(task.requester_browser_size || task.browser_size || task.viewport || task.window_size || task.browser_window_size);
-        let resolution = getValue(task.requester_resolution || task.resolution || task.screen_resolution);
-        
-        // Extract environment details from description
-        const env = extractEnvFromDescription(description);
-        
-        // Fill in missing fields from description with better fallbacks
-        if (!os) os = env.os;
-        if (!browser) browser = env.browser;
-        
-        // Handle resolution and browser size with better logic
-        if (env.browserWindow) {
-            // If we have browser window from description, use it for browserSize
-            browserSize = env.browserWindow;
-        }
-        
-        if (!resolution) {
-            resolution = env.resolution || browserSize;
-        }
-        
-        // If we still don't have browser size but have resolution, use resolution
-        if (!browserSize && resolution) {
-            browserSize = resolution;
+    const stream = STREAMED_FORMATS[format];
+    const streamContext = { headers, labels, projectId, exportToken, exportedAt, since };
+    let streamedCount = 0;
+    // A bundle's streamed sheet is written into its folder instead of the response
+    const sheetOutput = evidence && stream ? fs.createWriteStream(path.join(evidence, `${fileName}.${format}`)) : res;
+    if (sheetOutput !== res) {
+      res.on('close', () => sheetOutput.destroy());
+    }
+
+    const writeStreamedRows = async (rows) => {
+      if (streamedCount === 0) {
+        if (sheetOutput === res) {
+          // Set response headers for the download
+          res.setHeader('Content-Type', stream.contentType);
+          res.setHeader('Content-Disposition', `attachment; filename=${fileName}.${format}`);
+          res.setHeader('X-Export-Token', exportToken);
+          if (isRecordFormat) res.setHeader('X-Schema-Version', String(TASK_RECORD_SCHEMA_VERSION));
+          res.status(200);
         }
-        
-        // Enhanced screenshot extraction
-        let screenshot = '';
-        
-        // 1. Check direct screenshot fields first
-        const possibleScreenshotFields = [
-          task.screenshot_url,
-          task.screenshot,
-          task.image_url,
-          task.attachment_url
-        ];
-        
-        for (const field of possibleScreenshotFields) {
-          if (field && typeof field === 'string' && field.trim() !== '') {
-            screenshot = field.trim();
-            break;
+        sheetOutput.write(stream.open(streamContext));
+      }
+      rows.forEach(row => sheetOutput.write(stream.row(row, streamedCount++, streamContext)));
+      // Wait for a slow client (or disk) instead of buffering the export
+      if (sheetOutput.writableNeedDrain && !aborted) {
+        await new Promise(resolve => {
+          sheetOutput.once('drain', resolve);
+          res.once('close', resolve);
+        });
+      }
+    };
+
+    try {
+      for await (const pageTasks of fetchTaskPages(projectId, { include: 'attachments' })) {
+        if (aborted) break;
+        counts.totalFetched += pageTasks.length;
+        pageTasks.forEach(task => projectTaskIds.add(String(task.id)));
+
+        const matching = pageTasks.filter(isExported);
+        counts.filteredCount += matching.length;
+
+        // Remove duplicates (pages can shift while a project is being edited)
+        const uniqueTasks = matching.filter(task => {
+          if (seenIds.has(task.id)) {
+            counts.duplicateIds.push(task.id);
+            return false;
           }
+          seenIds.add(task.id);
+          return true;
+        });
+        counts.uniqueCount += uniqueTasks.length;
+        uniqueTasks.forEach(task => {
+          snapshot[task.id] = { localTaskId: task.local_task_id || null, archived: isArchivedTask(task) };
+        });
+
+        if (debug) {
+          sampleTasks.push(...uniqueTasks.slice(0, 3 - sampleTasks.length));
+          continue;
         }
-        
-        // 2. If no direct screenshot URL, check attachments
-        if (!screenshot && Array.isArray(task.attachments)) {
-          // Look for image attachments first
-          const imgAttachment = task.attachments.find(att => 
-            att.content_type && 
-            att.content_type.startsWith('image/') && 
-            att.url
-          );
-          
-          if (imgAttachment) {
-            screenshot = imgAttachment.url;
-          } else if (task.attachments.length > 0) {
-            // Fall back to any attachment if no image found
-            screenshot = task.attachments[0].url || '';
-          }
+
+        // Only tasks that changed, plus those archived since the last export even if now filtered out
+        let exportTasks = uniqueTasks.map(task => ({ task, change: null }));
+        if (incremental) {
+          exportTasks = uniqueTasks
+            .map(task => ({ task, change: wasArchivedSince(task) ? 'archived' : getTaskChange(task, since) }))
+            .filter(({ change }) => change);
+          pageTasks.forEach(task => {
+            if (seenIds.has(task.id) || archivedIds.has(task.id) || !wasArchivedSince(task)) return;
+            archivedIds.add(task.id);
+            exportTasks.push({ task, change: 'archived' });
+          });
         }
-        
-        // 3. If still no screenshot, try to extract from description
-        if (!screenshot && description) {
-          // Look for screenshot URL in the format: "Screenshot: <URL>"
-          const screenshotMatch = description.match(/Screenshot:\s*(https?:\/\/[^\s\n]+)/i);
-          if (screenshotMatch && screenshotMatch[1]) {
-            screenshot = screenshotMatch[1].trim();
+
+        const rows = new Array(exportTasks.length).fill(null);
+        await runWithConcurrency(exportTasks, EXPORT_CONCURRENCY, async ({ task, change }, index) => {
+          const detailedTask = await fetchExportTaskDetails(projectId, task);
+          const row = buildExportRow(detailedTask, rowCount + index, rowContext);
+          if (!row) return;
+          const comments = includeComments ? await fetchTaskComments(projectId, task.id) : null;
+          if (isRecordFormat) {
+            rows[index] = buildTaskRecord(detailedTask, row, rowContext);
+            if (comments) rows[index].comments = comments;
+            if (incremental) rows[index].change = change;
           } else {
-            // Fallback: Look for any image URL in the description
-            const imgUrlMatch = description.match(/(https?:\/\/[^\s\n]+\.(?:jpg|jpeg|png|gif|webp|bmp)(?:\?[^\s\n]*)?)/i);
-            if (imgUrlMatch && imgUrlMatch[0]) {
-              screenshot = imgUrlMatch[0].trim();
+            rows[index] = profile === 'round-trip' ? buildRoundTripRow(detailedTask, row, rowContext) : row;
+            if (comments) rows[index][COMMENTS_HEADER] = formatCommentsCell(comments);
+            if (incremental) rows[index][CHANGE_HEADER] = change;
+          }
+          if (evidence) {
+            const files = await addTaskEvidence(evidence, detailedTask, row['Screenshot URL'], missingEvidence);
+            if (profile === 'round-trip') {
+              rows[index]['Attachments'] = files.all.join('\n');
+            } else {
+              rows[index][SCREENSHOT_FILE_HEADER] = files.screenshot;
+              rows[index][ATTACHMENT_FILES_HEADER] = files.attachments.join('\n');
             }
           }
+        }, () => aborted);
+
+        // Remove any null entries from failed mappings
+        const pageRows = rows.filter(row => row !== null);
+        rowCount += exportTasks.length;
+        if (pageRows.length === 0) continue;
+
+        if (keepsRows) {
+          workbookRows.push(...pageRows);
+        } else {
+          await writeStreamedRows(pageRows);
         }
-        
-        const tags = Array.isArray(task.tag_names) ? task.tag_names.join(', ') : getValue(task.tags);
-        // const dueAt = task.due_at ? new Date(task.due_at).toISOString() : '';
-        const requesterEmail = getValue(task.requester_email);
-        // const taskUrl = task.id ? `https://www.bugherd.com/projects/${projectId}/tasks/${task.id}` : '';
-        
-        // Get the site value from task.site if available, otherwise extract domain from siteUrl
-        let site = getValue(task.site);
-        
-        // If site is empty but we have a siteUrl, use the full URL
-        if ((!site || site === '') && siteUrl) {
-          try {
-            // Ensure the URL has a protocol
-            const fullUrl = siteUrl.match(/^https?:\/\//) ? siteUrl : `https://${siteUrl}`;
-            const url = new URL(fullUrl);
-            // Keep the full URL with protocol but clean it up
-            site = `${url.protocol}//${url.hostname}${url.port ? ':' + url.port : ''}`;
-          } catch (e) {
-            // If URL parsing fails, use the siteUrl as is
-            site = siteUrl;
-          }
+      }
+    } catch (error) {
+      // Once rows are on their way the only way to report a failure is to cut the download short
+      if (res.headersSent) {
+        console.error('Export failed mid-stream:', error.message);
+        res.destroy(error);
+        return;
+      }
+      const errorDetails = {
+        message: error.message,
+        status: error.response?.status,
+        statusText: error.response?.statusText,
+        data: error.response?.data,
+        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      };
+      return res.status(500).json({ 
+        error: 'Failed to fetch tasks from BugHerd API',
+        details: errorDetails,
+        status: error.response?.status
+      });
+    }
+
+    if (aborted) return;
+
+    // If debug param is set, return debug info instead of the export
+    if (debug && counts.uniqueCount > 0) {
+      return res.json({
+        success: true,
+        debug: { ...counts, sampleTasks }
+      });
+    }
+
+    // Tasks the previous export covered that are gone from the project. A round-trip file is
+    // meant to be imported again and the importer can't delete, so it leaves them out.
+    if (previous && profile !== 'round-trip' && !debug) {
+      const deletedRows = Object.entries(previous.tasks)
+        .filter(([taskId]) => !projectTaskIds.has(taskId))
+        .map(([taskId, task]) => (isRecordFormat
+          ? { id: Number(taskId), localTaskId: task.localTaskId, projectId: String(projectId), change: 'deleted' }
+          : { 'Task ID': taskId, 'Task #': task.localTaskId || '', [CHANGE_HEADER]: 'deleted' }));
+      if (deletedRows.length > 0) {
+        if (keepsRows) {
+          workbookRows.push(...deletedRows);
+        } else {
+          await writeStreamedRows(deletedRows);
         }
-        
-        // Format site and URL, removing duplicates and fixing protocol issues
-        let siteDisplay = '';
-        let cleanSite = site || '';
-        let cleanUrl = siteUrl || '';
-        
-        // Remove any protocol from the site if present
-        cleanSite = cleanSite.replace(/^https?:\/\//, '');
-        
-        // Ensure URL has a protocol
-        if (cleanUrl && !cleanUrl.match(/^https?:\/\//)) {
-          cleanUrl = `https://${cleanUrl}`;
+      }
+    }
+
+    if (streamedCount === 0 && workbookRows.length === 0) {
+      // No tasks found matching filters
+      return res.status(404).json({ 
+        error: 'No tasks found',
+        message: incremental && since
+          ? `No tasks changed since ${since.toISOString()}`
+          : 'No tasks match the selected filters',
+        filters: filters,
+        // If debug param is set, include debug info in the response
+        ...(debug ? { debug: counts } : {})
+      });
+    }
+
+    if (bundle) {
+      try {
+        if (format === 'xlsx') {
+          const workbook = await buildExportWorkbook(headers, workbookRows, { priorities, labels });
+          await fs.promises.writeFile(path.join(evidence, `${fileName}.${format}`), workbook);
+        } else {
+          sheetOutput.end(stream.close(streamContext));
+          await finished(sheetOutput);
         }
-        
-        if (cleanSite && cleanUrl) {
-          // Remove the protocol and www from the URL for comparison
-          const urlObj = new URL(cleanUrl);
-          const urlWithoutProtocol = urlObj.hostname.replace(/^www\./, '') + urlObj.pathname + urlObj.search;
-          const siteWithoutWww = cleanSite.replace(/^www\./, '');
-          
-          // Check if the site is already part of the URL
-          if (urlWithoutProtocol.includes(siteWithoutWww)) {
-            siteDisplay = cleanUrl; // Use the full URL if site is already in it
-          } else {
-            // Otherwise, combine them, making sure not to duplicate the protocol
-            const sitePart = cleanSite.endsWith('/') ? cleanSite.slice(0, -1) : cleanSite;
-            const urlPart = cleanUrl.startsWith('http') ? cleanUrl.replace(/^https?:\/\//, '') : cleanUrl;
-            siteDisplay = `${sitePart}/${urlPart}`;
-          }
-        } else if (cleanSite) {
-          siteDisplay = cleanSite;
-        } else if (cleanUrl) {
-          siteDisplay = cleanUrl;
+        if (missingEvidence.length > 0) {
+          const lines = missingEvidence.map(({ taskId, url, error }) => `Task ${taskId}: ${url} (${error})`);
+          await fs.promises.writeFile(path.join(evidence, MISSING_EVIDENCE_FILE),
+            `Files that could not be downloaded; the sheet links to them instead.\n\n${lines.join('\n')}\n`);
         }
-        
-        // Return all available fields with combined Site + URL
-        return {
-          'BugID': (index + 1),
-          'Bug Status': 'New',
-          'Bug Type': (status && status.toLowerCase() === 'suggestion' ? 'Suggestion' : (status && status.toLowerCase() === 'qa team' ? 'Bug' : status)),
-          'Severity': priority, // Add Severity field
-          'Priority': priority,
-          'Priority ID': task.priority_id || '',
-          'Description': description,
-          'Tags/Categories': tags,
-          'Site + URL': siteDisplay,
-          'siteDisplay': siteDisplay, // Add siteDisplay for HTML report
-          'siteUrl': siteUrl, // Keep original siteUrl for reference
-          'OS': os,
-          'Browser': browser,
-          'Browser Size': browserSize,
-          'Resolution': resolution,
-          'Screenshot URL': screenshot,
-          'Reporter': requesterEmail
-        };
       } catch (error) {
-        return null;
+        return res.status(500).json({
+          error: 'Failed to build the evidence bundle',
+          details: error.message
+        });
       }
-    }).filter(task => task !== null); // Remove any null entries from failed mappings
 
-    try {
-      // Define CSV headers with combined Site and URL column
-      const csvHeaders = [
-        'BugID',
-        'Bug Status',
-        'Bug Type',
-        'Severity',
-        'Tags/Categories',
-        'Description',
-        'Site + URL',  // Combined Site and URL column
-        'OS',
-        'Browser',
-        'Browser Size',
-        'Resolution',
-        'Screenshot URL',
-        'Reporter'
-      ];
-
-      // Create CSV content with headers
-      let csvContent = '';
-      
-      // Helper function to escape CSV values
-      const escapeCsv = (value) => {
-        if (value === null || value === undefined) return '';
-        // Handle non-string values
-        if (typeof value !== 'string') {
-          if (Array.isArray(value)) {
-            value = value.join(', ');
-          } else if (typeof value === 'object') {
-            value = JSON.stringify(value);
-          } else {
-            value = String(value);
-          }
-        }
-        // Escape quotes and wrap in quotes if value contains commas, quotes, or newlines
-        if (/[,\n"]/.test(value)) {
-          return '"' + value.replace(/"/g, '""') + '"';
-        }
-        return value;
-      };
-      
-      // Add headers
-      csvContent += csvHeaders.map(escapeCsv).join(',') + '\n';
-      
-      // Add data rows with error handling for each row
-      csvData.forEach(row => {
-        try {
-          if (row && typeof row === 'object') {
-            // Map data to the new header order, filling missing columns with empty strings
-            const rowData = csvHeaders.map(header => escapeCsv(row[header]));
-            csvContent += rowData.join(',') + '\n';
-          }
-        } catch (rowError) {
-        }
-      });
-      
-      // Set response headers for CSV download
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename=bugherd-tasks-${projectId}-${new Date().toISOString().split('T')[0]}.csv`);
-      res.status(200).send(csvContent);
-      
-    } catch (error) {
-      res.status(500).json({ 
-        error: 'Failed to generate CSV',
-        details: error.message,
-        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      recordExport(exportToken, projectId, req.body.user, exportedAt, snapshot);
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename=${fileName}.zip`);
+      res.setHeader('X-Export-Token', exportToken);
+      res.status(200);
+      const archive = archiver('zip');
+      archive.on('error', error => {
+        console.error('Evidence bundle failed mid-stream:', error.message);
+        res.destroy(error);
       });
+      archive.pipe(res);
+      archive.directory(evidence, false);
+      return archive.finalize();
+    }
+
+    if (format === 'xlsx') {
+      try {
+        const workbook = await buildExportWorkbook(headers, workbookRows, { priorities, labels });
+        recordExport(exportToken, projectId, req.body.user, exportedAt, snapshot);
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename=${fileName}.xlsx`);
+        res.setHeader('X-Export-Token', exportToken);
+        return res.status(200).send(workbook);
+      } catch (error) {
+        return res.status(500).json({ 
+          error: 'Failed to generate XLSX',
+          details: error.message,
+          stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        });
+      }
     }
 
+    recordExport(exportToken, projectId, req.body.user, exportedAt, snapshot);
+    res.end(stream.close(streamContext));
+
   } catch (error) {
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
     
     if (error.response?.status === 401) {
       return res.status(401).json({
@@ -1045,6 +3696,7 @@ function extractEnvFromDescription(description) {
   }
 });
 
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Error:', err);
@@ -1054,7 +3706,18 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start the server
-app.listen(port, () => {
-  console.log(`Server running at http://localhost:${port}`);
-});
\ No newline at end of file
+// Start the server when run directly; tests require the module without listening
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`Server running at http://localhost:${port}`);
+  });
+}
+
+module.exports = {
+  app,
+  suggestColumnMapping,
+  applyColumnMapping,
+  buildBugData,
+  ROUND_TRIP_COLUMNS,
+  buildRoundTripRow
+};
\ No newline at end of file
@@ -0,0 +1,190 @@
+// Structured task filters shared by the CSV/XLSX export and both reports:
+// created/updated date ranges, priority, tags, people, status and page URL.
+const { resolvePriority, getTaskPriority } = require('./priorities');
+
+const DATE_FILTERS = {
+    createdAfter: { field: 'created_at', bound: 'after' },
+    createdBefore: { field: 'created_at', bound: 'before' },
+    updatedAfter: { field: 'updated_at', bound: 'after' },
+    updatedBefore: { field: 'updated_at', bound: 'before' }
+};
+
+const TAG_MATCH_MODES = ['any', 'all'];
+
+const normalizeValue = (value) => String(value === undefined || value === null ? '' : value).trim().toLowerCase().replace(/\s+/g, ' ');
+
+// A filter list from an array or a comma-separated query string value
+function parseList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+// A date bound; a plain YYYY-MM-DD "before" date includes the whole of that day
+function parseFilterDate(name, value, bound) {
+    const text = String(value).trim();
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+    const date = new Date(dateOnly ? `${text}T00:00:00Z` : text);
+    if (isNaN(date.getTime())) {
+        throw new Error(`${name} must be a date, got "${value}"`);
+    }
+    if (dateOnly && bound === 'before') {
+        date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return date;
+}
+
+// "*" matches anything; everything else is matched literally, anywhere in the URL
+function parseUrlPattern(value) {
+    const pattern = String(value).trim();
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(source, 'i');
+}
+
+/**
+ * Read the structured filters from a request's filters object or query string.
+ * Unknown keys (such as the feedback/taskBoard/archive toggles) are ignored.
+ * @param {Object} filters - Raw filters
+ * @param {Object} [vocabulary] - Priority vocabulary used to read priority names
+ * @returns {Object} Criteria for createTaskMatcher
+ * @throws {Error} When a value can't be understood
+ */
+function parseTaskFilters(filters = {}, vocabulary) {
+    const criteria = { dates: [], tagMatch: 'any' };
+
+    Object.entries(DATE_FILTERS).forEach(([name, { field, bound }]) => {
+        if (filters[name] === undefined || filters[name] === null || filters[name] === '') return;
+        criteria.dates.push({ field, bound, date: parseFilterDate(name, filters[name], bound) });
+    });
+
+    const priorities = parseList(filters.priorities);
+    if (priorities.length > 0) {
+        criteria.priorities = priorities.map(value => {
+            const result = resolvePriority(value, vocabulary);
+            if (result.error) throw new Error(result.error);
+            return result.priority.name;
+        });
+    }
+
+    const tags = parseList(filters.tags).map(normalizeValue);
+    if (tags.length > 0) {
+        criteria.tags = tags;
+        const tagMatch = normalizeValue(filters.tagMatch || 'any');
+        if (!TAG_MATCH_MODES.includes(tagMatch)) {
+            throw new Error(`tagMatch must be one of ${TAG_MATCH_MODES.join(', ')}`);
+        }
+        criteria.tagMatch = tagMatch;
+    }
+
+    ['assignees', 'requesters', 'statuses'].forEach(name => {
+        const values = parseList(filters[name]);
+        if (values.length > 0) criteria[name] = values;
+    });
+
+    if (filters.urlPattern && String(filters.urlPattern).trim()) {
+        criteria.urlPattern = parseUrlPattern(filters.urlPattern);
+    }
+
+    return criteria;
+}
+
+// Whether any structured filter is set
+function hasTaskFilters(criteria) {
+    return Boolean(criteria && (criteria.dates.length > 0 || criteria.priorities || criteria.tags ||
+        criteria.assignees || criteria.requesters || criteria.statuses || criteria.urlPattern));
+}
+
+function getTaskTags(task) {
+    const tags = Array.isArray(task.tag_names) ? task.tag_names : (Array.isArray(task.tags) ? task.tags : []);
+    return tags.map(tag => normalizeValue(typeof tag === 'object' && tag ? tag.name : tag));
+}
+
+function getTaskUrls(task) {
+    return [task.url, task.site_url, task.page_url, task.site_page, task.page]
+        .filter(url => typeof url === 'string' && url.trim() !== '');
+}
+
+// Every way a task names its assignee or requester: id, email, display name
+function getPersonKeys(person, id, email) {
+    const keys = [id, email];
+    if (person && typeof person === 'object') {
+        keys.push(person.id, person.email, person.display_name, person.name);
+    }
+    return keys.filter(key => key !== undefined && key !== null && key !== '').map(normalizeValue);
+}
+
+// Filter values plus the id and email of the member each one names
+function expandPeople(values, resolveMember) {
+    const keys = new Set(values.map(normalizeValue));
+    values.forEach(value => {
+        const member = resolveMember(value);
+        if (member) {
+            keys.add(normalizeValue(member.id));
+            keys.add(normalizeValue(member.email));
+        }
+    });
+    return keys;
+}
+
+/**
+ * Build a predicate for tasks from parsed criteria. Every set filter must match.
+ * @param {Object} criteria - Result of parseTaskFilters
+ * @param {Object} [options] - { resolveMember(value) -> member|null, columns: [{ id, name }] }
+ * @returns {Function} task => boolean
+ */
+function createTaskMatcher(criteria, options = {}) {
+    const resolveMember = options.resolveMember || (() => null);
+    const columnNames = new Map((options.columns || []).map(column => [String(column.id), column.name]));
+    const assignees = criteria.assignees && expandPeople(criteria.assignees, resolveMember);
+    const requesters = criteria.requesters && expandPeople(criteria.requesters, resolveMember);
+    const statuses = criteria.statuses && criteria.statuses.map(normalizeValue);
+
+    return task => {
+        const datesMatch = criteria.dates.every(({ field, bound, date }) => {
+            const value = task[field] ? new Date(task[field]) : null;
+            if (!value || isNaN(value.getTime())) return false;
+            return bound === 'after' ? value >= date : value < date;
+        });
+        if (!datesMatch) return false;
+
+        if (criteria.priorities) {
+            const priority = getTaskPriority(task);
+            if (!criteria.priorities.includes(priority ? priority.name : 'not set')) return false;
+        }
+
+        if (criteria.tags) {
+            const taskTags = getTaskTags(task);
+            const hasTag = tag => taskTags.includes(tag);
+            const tagsMatch = criteria.tagMatch === 'all' ? criteria.tags.every(hasTag) : criteria.tags.some(hasTag);
+            if (!tagsMatch) return false;
+        }
+
+        if (assignees) {
+            const keys = getPersonKeys(task.assigned_to || task.assignee, task.assigned_to_id, task.assignee_email);
+            if (!keys.some(key => assignees.has(key))) return false;
+        }
+
+        if (requesters) {
+            const keys = getPersonKeys(task.requester, task.requester_id, task.requester_email);
+            if (!keys.some(key => requesters.has(key))) return false;
+        }
+
+        if (statuses) {
+            const names = [task.status && typeof task.status === 'object' ? task.status.name : task.status,
+                columnNames.get(String(task.status_id))].filter(Boolean).map(normalizeValue);
+            if (!names.some(name => statuses.includes(name))) return false;
+        }
+
+        if (criteria.urlPattern && !getTaskUrls(task).some(url => criteria.urlPattern.test(url))) {
+            return false;
+        }
+
+        return true;
+    };
+}
+
+module.exports = {
+    parseTaskFilters,
+    hasTaskFilters,
+    createTaskMatcher
+};
@@ -0,0 +1,29 @@
+// The HTML report filters, counts and charts on BugHerd's priority names, even when the
+// project labels its priorities in its own words
+process.env.BUGHERD_API_KEY = process.env.BUGHERD_API_KEY || 'test';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPriorityVocabulary } = require('../priorities');
+const ReportGenerator = require('../generator');
+
+const vocabulary = createPriorityVocabulary({ values: { P1: 'critical', P4: 'minor' } });
+
+const tasks = [
+  { id: 1, local_task_id: 1, priority_id: 1, status: 'Backlog', description: 'Checkout fails' },
+  { id: 2, local_task_id: 2, priority_id: 4, status: 'Backlog', description: 'Typo in footer' },
+  { id: 3, local_task_id: 3, status: 'Backlog', description: 'No priority yet' }
+];
+
+// The task data the report embeds for its template
+async function renderBugData(t) {
+  t.mock.method(console, 'log', () => {});
+  const html = await new ReportGenerator().renderHtml({ id: 1, name: 'Demo' }, tasks, {}, vocabulary);
+  return JSON.parse(html.match(/window\.bugData = (\[[\s\S]*?\]);\n/)[1]);
+}
+
+test('severity keys come from the BugHerd priority, labels from the vocabulary', async (t) => {
+  const bugData = await renderBugData(t);
+  assert.deepStrictEqual(bugData.map(bug => bug.severity), ['critical', 'minor', 'notset']);
+  assert.deepStrictEqual(bugData.map(bug => bug.priority), ['P1', 'P4', 'Not Set']);
+});
@@ -0,0 +1,73 @@
+// The round-trip export profile only works while the importer maps its columns on its own
+process.env.BUGHERD_API_KEY = process.env.BUGHERD_API_KEY || 'test';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPriorityVocabulary } = require('../priorities');
+const {
+  suggestColumnMapping,
+  applyColumnMapping,
+  buildBugData,
+  ROUND_TRIP_COLUMNS,
+  buildRoundTripRow
+} = require('../server');
+
+const SEVERITY_FIELD = { id: 31, name: 'Severity', type: 'dropdown', options: ['Blocker', 'Major', 'Minor'] };
+
+const task = {
+  id: 101,
+  local_task_id: 5,
+  external_id: 'imp-abc',
+  priority_id: 2,
+  requester_email: 'al@example.com'
+};
+
+// A standard export row for the task above
+const exportRow = {
+  'Description': 'Checkout button broken',
+  'Status': 'Backlog',
+  'Reporter': 'al@example.com',
+  'OS': 'macOS',
+  'Browser': 'Chrome 120',
+  'siteUrl': 'https://shop.example.com/checkout'
+};
+
+// Re-import a round-trip row the way an upload does, with the project's custom fields
+function reimport(customFields, severity = 'cosmetic') {
+  const roundTripRow = buildRoundTripRow(
+    { ...task, tag_names: ['mobile', `severity:${severity.toLowerCase()}`] },
+    { ...exportRow, 'Severity': severity },
+    {}
+  );
+  const headers = ROUND_TRIP_COLUMNS.map(column => column.header);
+  const row = Object.fromEntries(headers.map(header => [header, roundTripRow[header]]));
+  const mapping = suggestColumnMapping(headers, customFields);
+  const bug = applyColumnMapping(row, mapping);
+  const { bugData } = buildBugData(bug, { priorities: createPriorityVocabulary(), customFields });
+  return { mapping, bugData };
+}
+
+test('every round-trip column maps back to its field', () => {
+  const mapping = suggestColumnMapping(ROUND_TRIP_COLUMNS.map(column => column.header));
+  ROUND_TRIP_COLUMNS.forEach(column => {
+    assert.strictEqual(mapping[column.header], column.field, `"${column.header}" should map to ${column.field}`);
+  });
+});
+
+test('severity is kept once as a tag without a Severity custom field', () => {
+  const { bugData } = reimport([]);
+  assert.deepStrictEqual(bugData.tag_names, ['mobile', 'severity:cosmetic']);
+});
+
+test('severity that is not a custom field option survives as a tag', () => {
+  const { mapping, bugData } = reimport([SEVERITY_FIELD]);
+  assert.strictEqual(mapping['Severity'], 'custom:Severity');
+  assert.ok(bugData.tag_names.includes('severity:cosmetic'));
+  assert.strictEqual(bugData.custom_fields, undefined);
+});
+
+test('severity that is a custom field option also fills the field', () => {
+  const { bugData } = reimport([SEVERITY_FIELD], 'Major');
+  assert.deepStrictEqual(bugData.tag_names, ['mobile', 'severity:major']);
+  assert.deepStrictEqual(bugData.custom_fields, [{ id: 31, value: 'Major' }]);
+});